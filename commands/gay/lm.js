@@ -20,19 +20,49 @@ import {
    ChannelFlagsBitField,
    CommandInteraction,
    ButtonInteraction,
-   DMChannel
+   DMChannel,
+   ModalBuilder,
+   ModalSubmitInteraction,
+   TextInputBuilder,
+   TextInputStyle
 } from "discord.js";
 import { spawnSync } from "node:child_process";
 import path, { resolve } from "node:path";
 import { fileURLToPath } from "node:url";
 import { LMArena, Chat } from "../../lib/LMArena.mjs"; // typedef
 import { getLMArena } from "../../lib/LMArenaSingleton.mjs";
+import { getApiKeyStore } from "../../lib/ApiKeyStore.mjs";
+import {
+   deserializeMessage,
+   getSessionStore,
+   serializeMessage
+} from "../../lib/SessionStore.mjs";
+import {
+   DocumentError,
+   buildPromptInput,
+   checkFile,
+   inlineDocuments
+} from "../../lib/Documents.mjs";
+import { isErrorEvent } from "../../lib/ArenaErrors.mjs";
+import {
+   PROMPT_CATEGORIES,
+   categorizePrompt,
+   getVoteStore
+} from "../../lib/Leaderboard.mjs";
 import { Logger } from "../../lib/OPLogger.mjs";
-import { generateSupportId, getLogsForSupportId } from "../../lib/util.mjs";
-import { fileTypeFromBuffer } from "file-type";
+import {
+   generateSupportId,
+   getLogsForSupportId,
+   isAnonymousModel
+} from "../../lib/util.mjs";
+import { fileTypeFromFile } from "file-type";
 import { mimeToExt } from "mime-detect";
 import { randomBytes } from "node:crypto";
-import { readFileSync, writeFileSync } from "node:fs";
+import { createWriteStream, readFileSync, writeFileSync } from "node:fs";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
 
 const __dirname = import.meta.dirname;
 
@@ -57,8 +87,10 @@ const superusers = ["612909238997483520"];
  * @typedef {Object} TurnMetadata
  * @property {string} modelUsed
  * @property {string} userPrompt
- * @property {Attachment?} visionAttachment
+ * @property {Array<{ url: string, contentType: string | null }>} visionAttachments - Images sent with the prompt, shown again in the reply
  * @property {boolean} hasVision
+ * @property {Array<import("../../lib/Documents.mjs").DocumentSummary>} documents - Files sent with the prompt, images included
+ * @property {string} documentText - Inlined text of the documents, kept so edits can send it again
  */
 
 /**
@@ -107,7 +139,9 @@ const refToMsg = async (ref, client) => {
 
 /**
  * @typedef {Object} UserMessage
- * @property {import("discord.js").Interaction} interaction - Message in Discord connected to this chat
+ * @property {import("discord.js").Interaction | null} interaction - Message in Discord connected to this chat, null once restored from the session store
+ * @property {MessageRef | null} replyRef - Final reply of the latest turn, outlives the interaction token
+ * @property {string} [editOf] - ID of the user message this one replaces, the turn then runs on a new branch
  * @property {Chat} lmChat
  * @property {TurnMetadata} meta
  * @property {ArenaMessage} message
@@ -119,6 +153,112 @@ const refToMsg = async (ref, client) => {
  */
 const userMessagesMap = new Map();
 
+/**
+ * Text generations still streaming, by user message ID, aborted by their Stop button
+ * @type {Map<string, AbortController>}
+ */
+const activeGenerations = new Map();
+
+// Session store collection the map is persisted to
+const USER_MESSAGES_COLLECTION = "userMessages";
+
+/**
+ * Save a user message and its chat so its buttons keep working after a restart
+ * @param {string} umid
+ */
+function persistUserMessage(umid) {
+   const { message, replyRef, lmChat, meta, logging } = userMessagesMap.get(umid);
+   getSessionStore().set(
+      USER_MESSAGES_COLLECTION,
+      umid,
+      {
+         message: serializeMessage(message),
+         replyRef,
+         meta,
+         logging
+      },
+      lmChat.session
+   );
+}
+
+if (process.env.IS_REAL === "YES") {
+   // Edits share their chat with the message they were made from
+   const restoredChats = new Map();
+   for (const [umid, record] of getSessionStore().entries(USER_MESSAGES_COLLECTION)) {
+      if (!restoredChats.has(record.conversationId)) {
+         restoredChats.set(record.conversationId, lmArena.restoreChat(record.conversationId));
+      }
+      const lmChat = restoredChats.get(record.conversationId);
+      if (!lmChat) continue;
+      const { meta } = record.value;
+      userMessagesMap.set(umid, {
+         ...record.value,
+         // Stored before turns could carry several files
+         meta: {
+            ...meta,
+            visionAttachments:
+               meta.visionAttachments ?? (meta.visionAttachment ? [meta.visionAttachment] : []),
+            documents: meta.documents ?? [],
+            documentText: meta.documentText ?? ""
+         },
+         message: deserializeMessage(record.value.message),
+         interaction: null,
+         lmChat
+      });
+   }
+}
+
+/**
+ * @typedef {Object} Battle
+ * @property {import("discord.js").Interaction | null} interaction
+ * @property {MessageRef | null} replyRef
+ * @property {Chat} lmChat
+ * @property {{ userPrompt: string, anonymous: boolean }} meta
+ * @property {{ a: string, b: string }} replies - Reply text of each side as it was shown
+ * @property {{ tokensA: number, tokensB: number, elapsedSeconds: number } | null} stats
+ * @property {import("../../lib/SessionManager.mjs").BattleVote | null} vote
+ * @property {Object} logging
+ */
+
+/**
+ * @type {Map<string, Battle>}
+ */
+const battlesMap = new Map();
+
+const BATTLES_COLLECTION = "battles";
+
+const VOTE_LABELS = {
+   a: "A is better",
+   b: "B is better",
+   tie: "Tie",
+   both_bad: "Both are bad"
+};
+
+/**
+ * @param {string} bmid
+ */
+function persistBattle(bmid) {
+   const { interaction, lmChat, ...rest } = battlesMap.get(bmid);
+   getSessionStore().set(BATTLES_COLLECTION, bmid, rest, lmChat.session);
+}
+
+if (process.env.IS_REAL === "YES") {
+   for (const [bmid, record] of getSessionStore().entries(BATTLES_COLLECTION)) {
+      const lmChat = lmArena.restoreChat(record.conversationId);
+      if (!lmChat) continue;
+      battlesMap.set(bmid, { ...record.value, interaction: null, lmChat });
+   }
+}
+
+// Time windows the leaderboard can be limited to, null is all time
+const LEADERBOARD_WINDOWS = {
+   "24h": 24 * 60 * 60 * 1000,
+   "7d": 7 * 24 * 60 * 60 * 1000,
+   "30d": 30 * 24 * 60 * 60 * 1000,
+   "all time": null
+};
+const LEADERBOARD_SIZE = 15;
+
 export const data = new SlashCommandBuilder()
    .setName("lmarena")
    .setDescription("Inference commands")
@@ -151,6 +291,24 @@ export const data = new SlashCommandBuilder()
                .setDescription("vision attachment")
                .setRequired(false)
          )
+         .addAttachmentOption((opt) =>
+            opt
+               .setName("file")
+               .setDescription("image, PDF or text file (code, .txt, .md, .csv, .json)")
+               .setRequired(false)
+         )
+         .addAttachmentOption((opt) =>
+            opt
+               .setName("file2")
+               .setDescription("image, PDF or text file (code, .txt, .md, .csv, .json)")
+               .setRequired(false)
+         )
+         .addAttachmentOption((opt) =>
+            opt
+               .setName("file3")
+               .setDescription("image, PDF or text file (code, .txt, .md, .csv, .json)")
+               .setRequired(false)
+         )
    )
    .addSubcommand((sc) =>
       sc
@@ -176,6 +334,86 @@ export const data = new SlashCommandBuilder()
                .setRequired(false)
          )
    )
+   .addSubcommand((sc) =>
+      sc
+         .setName("video-gen")
+         .setDescription("Generate a video from a prompt and/or an image")
+         .addStringOption((opt) =>
+            opt
+               .setName("model")
+               .setDescription("model to use")
+               .setAutocomplete(true)
+               .setRequired(true)
+         )
+         .addStringOption((opt) =>
+            opt
+               .setName("prompt")
+               .setDescription("your prompt")
+               .setRequired(true)
+         )
+         .addAttachmentOption((opt) =>
+            opt
+               .setName("image")
+               .setDescription("image to animate")
+               .setRequired(false)
+         )
+   )
+   .addSubcommand((sc) =>
+      sc
+         .setName("battle")
+         .setDescription("Have two models answer side by side and vote on the better one")
+         .addStringOption((opt) =>
+            opt
+               .setName("prompt")
+               .setDescription("your prompt")
+               .setRequired(true)
+         )
+         .addStringOption((opt) =>
+            opt
+               .setName("model-a")
+               .setDescription("first model, leave both empty for an anonymous battle")
+               .setAutocomplete(true)
+               .setRequired(false)
+         )
+         .addStringOption((opt) =>
+            opt
+               .setName("model-b")
+               .setDescription("second model, leave both empty for an anonymous battle")
+               .setAutocomplete(true)
+               .setRequired(false)
+         )
+   )
+   .addSubcommand((sc) =>
+      sc
+         .setName("leaderboard")
+         .setDescription("ratings from battle votes cast in this bot")
+         .addStringOption((opt) =>
+            opt
+               .setName("modality")
+               .setDescription("which battles to count, defaults to text")
+               .addChoices(
+                  { name: "text", value: "text" },
+                  { name: "image", value: "image" }
+               )
+               .setRequired(false)
+         )
+         .addStringOption((opt) =>
+            opt
+               .setName("window")
+               .setDescription("only count recent votes, defaults to all time")
+               .addChoices(
+                  ...Object.keys(LEADERBOARD_WINDOWS).map((w) => ({ name: w, value: w }))
+               )
+               .setRequired(false)
+         )
+         .addStringOption((opt) =>
+            opt
+               .setName("category")
+               .setDescription("only count prompts of this category")
+               .addChoices(...PROMPT_CATEGORIES.map((c) => ({ name: c, value: c })))
+               .setRequired(false)
+         )
+   )
    .addSubcommand((sc) =>
       sc
          .setName("reset-token")
@@ -191,6 +429,18 @@ export const data = new SlashCommandBuilder()
                .setDescription("file to upload")
                .setRequired(true)
          )
+         .addAttachmentOption((opt) =>
+            opt.setName("file2").setDescription("file to upload").setRequired(false)
+         )
+         .addAttachmentOption((opt) =>
+            opt.setName("file3").setDescription("file to upload").setRequired(false)
+         )
+         .addAttachmentOption((opt) =>
+            opt.setName("file4").setDescription("file to upload").setRequired(false)
+         )
+         .addAttachmentOption((opt) =>
+            opt.setName("file5").setDescription("file to upload").setRequired(false)
+         )
    )
    .addSubcommand((sc) =>
       sc.setName("refresh-models").setDescription("refresh the models list")
@@ -237,6 +487,66 @@ export const data = new SlashCommandBuilder()
                .setDescription("Comma-separated output modality types to filter by. Options: text, image, video, search")
                .setRequired(false)
          )
+   )
+   .addSubcommand((sc) =>
+      sc
+         .setName("api-key-create")
+         .setDescription("create an API key for the HTTP API (su only)")
+         .addStringOption((opt) =>
+            opt
+               .setName("name")
+               .setDescription("Team or service the key is for")
+               .setRequired(true)
+         )
+         .addStringOption((opt) =>
+            opt
+               .setName("models")
+               .setDescription("Comma-separated models the key may use, omit to allow all")
+               .setRequired(false)
+         )
+         .addIntegerOption((opt) =>
+            opt
+               .setName("per-minute")
+               .setDescription("Requests per minute, omit for unlimited")
+               .setMinValue(1)
+               .setRequired(false)
+         )
+         .addIntegerOption((opt) =>
+            opt
+               .setName("per-day")
+               .setDescription("Requests per UTC day, omit for unlimited")
+               .setMinValue(1)
+               .setRequired(false)
+         )
+   )
+   .addSubcommand((sc) =>
+      sc
+         .setName("api-key-revoke")
+         .setDescription("revoke an API key (su only)")
+         .addStringOption((opt) =>
+            opt.setName("id").setDescription("Key ID").setRequired(true)
+         )
+   )
+   .addSubcommand((sc) =>
+      sc.setName("api-key-list").setDescription("list API keys (su only)")
+   )
+   .addSubcommand((sc) =>
+      sc
+         .setName("api-key-usage")
+         .setDescription("export API key usage as CSV (su only)")
+         .addStringOption((opt) =>
+            opt
+               .setName("id")
+               .setDescription("Key ID, omit for all keys")
+               .setRequired(false)
+         )
+         .addIntegerOption((opt) =>
+            opt
+               .setName("days")
+               .setDescription("How many days back to include (default 30)")
+               .setMinValue(1)
+               .setRequired(false)
+         )
    );
 
 // Oneliner: If the string is over 250 chars, trim it and add ellipses at the end
@@ -248,128 +558,250 @@ const trimString = (str) => {
    }
 };
 
+// How each kind of arena failure is introduced in a reply
+const ARENA_ERROR_LABELS = {
+   moderation: "Blocked by LMArena's moderation",
+   rate_limit: "Rate limited",
+   auth_expired: "The arena session expired",
+   provider: "The model's provider failed",
+   network: "Lost the connection to the arena",
+   parse: "Couldn't read the arena's response",
+   unknown: "The arena request failed"
+};
+
+/**
+ * Render an arena failure, the same way for every kind of generation
+ * @param {import("../../lib/ArenaErrors.mjs").ArenaErrorData} error From an `x` event
+ * @returns {string}
+ */
+function formatArenaError(error) {
+   const label = ARENA_ERROR_LABELS[error.kind] ?? ARENA_ERROR_LABELS.unknown;
+   const notes = [];
+   if (error.kind === "moderation") notes.push("see the [LMArena ToS](https://lmarena.ai/terms-of-use)");
+   if (error.status) notes.push(`HTTP ${error.status}`);
+   if (error.details?.authRefreshed) notes.push("got a new arena session");
+   if (error.retryable) notes.push("try again");
+   return `**${label}:** ${error.message}${notes.length > 0 ? `\n-# ${notes.join(" · ")}` : ""}`;
+}
+
 async function performInferenceTextMode(umid, isRetry = false) {
+   const data = userMessagesMap.get(umid);
    const {
       interaction,
       lmChat: chat,
       message,
       meta,
       logging
-   } = userMessagesMap.get(umid);
+   } = data;
    let editReply = (options) => {
       return interaction.editReply(options);
    };
 
-   await editReply("`0 tokens | 0 tok/sec | 0s elapsed`");
-   const { hasVision, visionAttachment, userPrompt, modelUsed } = meta;
+   const abortController = new AbortController();
+   activeGenerations.set(umid, abortController);
+   const stopRow = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+         .setCustomId(`texgen-stop-${umid}`)
+         .setLabel("Stop")
+         .setStyle(ButtonStyle.Danger)
+   );
+   // Progress updates carry the Stop button, the final reply replaces it
+   let editProgress = (content) => {
+      return editReply({ content, components: [stopRow] });
+   };
+
+   await editProgress("`0 tokens | 0 tok/sec | 0s elapsed`");
+   const { visionAttachments, documents, userPrompt, modelUsed } = meta;
    let lastMsgUpdate = Date.now();
 
    let messageBeganAt = 0;
 
    let tokensGenerated = 0;
+   // Reasoning tokens are counted apart from the answer
+   let thinkingTokens = 0;
    let toksPerSec = 0;
 
    let responseText = "";
 
    let updateMsg = async () => {
+      if (abortController.signal.aborted) return;
       const timeSinceStart = (Date.now() - messageBeganAt) / 1000;
-      await editReply(
-         `\`${tokensGenerated} tokens | ${toksPerSec.toFixed(2)} tok/sec | ${timeSinceStart.toFixed(2)}s elapsed\``
+      await editProgress(
+         `\`${tokensGenerated} tokens${thinkingTokens > 0 ? ` | ${thinkingTokens} thinking tokens` : ""} | ${toksPerSec.toFixed(2)} tok/sec | ${timeSinceStart.toFixed(2)}s elapsed\``
       );
    };
 
    console.log("-------------------------------");
-   for await (const chunk of chat.sendMessage(message, isRetry)) {
-      if (chunk.event === "a0") {
-         if (messageBeganAt === 0) messageBeganAt = Date.now(); // Time to first token
-         tokensGenerated++;
-         const elapsedSeconds = (Date.now() - messageBeganAt) / 1000;
-         toksPerSec = tokensGenerated / elapsedSeconds;
-
-         responseText += chunk.data;
-         process.stdout.write(chunk.data);
-
-         // Fire async function without blocking the generator
-         const now = Date.now();
-         if ((now - lastMsgUpdate) / 1000 >= 2) {
-            lastMsgUpdate = now;
-            updateMsg().catch((err) =>
-               console.error("Async task failed:", err)
+   // The reply is rebuilt from scratch on a retry, so timed out streams can be retried automatically
+   const sendOptions = {
+      signal: abortController.signal,
+      timeouts: { retries: 1 }
+   };
+   const events =
+      data.editOf && !isRetry
+         ? chat.editMessage(data.editOf, message, sendOptions)
+         : chat.sendMessage(message, isRetry, sendOptions);
+   let stopped = false;
+   // Failed attempts before the reply are retried by the session manager, see `SessionManager.runInference`
+   let attempts = 1;
+   try {
+      for await (const chunk of events) {
+         if (chunk.event === "a0") {
+            if (messageBeganAt === 0) messageBeganAt = Date.now(); // Time to first token
+            tokensGenerated++;
+            const elapsedSeconds = (Date.now() - messageBeganAt) / 1000;
+            toksPerSec = (tokensGenerated + thinkingTokens) / elapsedSeconds;
+
+            responseText += chunk.data;
+            process.stdout.write(chunk.data);
+
+            // Fire async function without blocking the generator
+            const now = Date.now();
+            if ((now - lastMsgUpdate) / 1000 >= 2) {
+               lastMsgUpdate = now;
+               updateMsg().catch((err) =>
+                  console.error("Async task failed:", err)
+               );
+            }
+         } else if (chunk.event === "ag") {
+            if (messageBeganAt === 0) messageBeganAt = Date.now(); // Time to first token
+            thinkingTokens++;
+            const elapsedSeconds = (Date.now() - messageBeganAt) / 1000;
+            toksPerSec = (tokensGenerated + thinkingTokens) / elapsedSeconds;
+
+            const now = Date.now();
+            if ((now - lastMsgUpdate) / 1000 >= 2) {
+               lastMsgUpdate = now;
+               updateMsg().catch((err) =>
+                  console.error("Async task failed:", err)
+               );
+            }
+         } else if (chunk.event === "ai" || chunk.event === "aj") {
+            // Redacted reasoning and signatures are collected on the assistant message
+         } else if (chunk.event === "ah") {
+            // Sources are collected on the assistant message, listed below the response
+         } else if (isErrorEvent(chunk)) {
+            responseText += `${responseText ? "\n\n" : ""}${formatArenaError(chunk.data)}`;
+            userLogger.debug(
+               JSON.stringify({
+                  event: "textGenerationFailure",
+                  ...logging,
+                  failureReason: chunk.data.kind,
+                  status: chunk.data.status,
+                  attempts
+               })
             );
-         }
-      } else if (chunk.event === "a3") {
-         // 20/11/25 - a3 now provides an error message
-         responseText += `A backend error occurred: ${chunk.data}`; 
-         userLogger.debug(
-            JSON.stringify({
-               event: "textGenerationFailure",
-               ...logging,
-               failureReason: "provider-based error"
-            })
-         );
-      } else if (chunk.event === "ad") {
-         break;
-      } else if (chunk.event === "c0") {
-         // Same as a0 but for when LMArena rejects the message (for logging)
-         if (messageBeganAt === 0) messageBeganAt = Date.now(); // Time to first token
-         tokensGenerated++;
-         const elapsedSeconds = (Date.now() - messageBeganAt) / 1000;
-         toksPerSec = tokensGenerated / elapsedSeconds;
-
-         responseText += chunk.data;
-         process.stdout.write(chunk.data);
-
-         // Fire async function without blocking the generator
-         const now = Date.now();
-         if ((now - lastMsgUpdate) / 1000 >= 2) {
-            lastMsgUpdate = now;
-            updateMsg().catch((err) =>
-               console.error("Async task failed:", err)
+         } else if (chunk.event === "ad") {
+            break;
+         } else if (chunk.event === "ar") {
+            attempts = chunk.data.attempt;
+            userLogger.warn(
+               `(SupportId:${logging.supportId}) Text generation for ${logging.username} (${logging.userId}) failed with ${chunk.data.error.kind}, retrying in ${chunk.data.delayMs}ms (attempt ${attempts}).`
+            );
+         } else if (["a9", "aa", "ab", "ac"].includes(chunk.event)) {
+            // Tool calls are collected on the assistant message, listed below the response
+         } else if (chunk.event === "at") {
+            const { kind, limitMs, retrying } = chunk.data;
+            userLogger.warn(
+               `(SupportId:${logging.supportId}) Text generation for ${logging.username} (${logging.userId}) hit the ${kind} timeout after ${limitMs}ms${retrying ? ", retrying" : ""}.`
+            );
+            userLogger.debug(
+               JSON.stringify({
+                  event: "textGenerationTimeout",
+                  ...logging,
+                  timeoutKind: kind,
+                  limitMs,
+                  retrying
+               })
             );
+            // Without retries left a network error follows
+            if (retrying) {
+               // The reply is regenerated from the start
+               responseText = "";
+               tokensGenerated = 0;
+               thinkingTokens = 0;
+               messageBeganAt = 0;
+            }
+         } else {
+            console.log("Unknown event:", chunk);
          }
-         userLogger.debug(
-            JSON.stringify({
-               event: "textGenerationFailure",
-               ...logging,
-               failureReason: "arena moderation block"
-            })
-         );
-      } else {
-         console.log("Unknown event:", chunk);
       }
+   } catch (err) {
+      if (!abortController.signal.aborted) throw err;
+      // A retry took over, its reply replaces this one
+      if (activeGenerations.get(umid) !== abortController) return;
+      // Stop button, keep what was generated so far
+      stopped = true;
+      userLogger.debug(
+         JSON.stringify({ event: "textGenerationStopped", ...logging })
+      );
+   } finally {
+      if (activeGenerations.get(umid) === abortController) {
+         activeGenerations.delete(umid);
+      }
+   }
+   if (stopped) {
+      responseText += `${responseText ? "\n\n" : ""}-# Stopped.`;
    }
    console.log("\n-------------------------------");
+   const toolCalls = chat.getToolCalls();
+   const reasoning = chat.getReasoning();
+   const sources = chat.getSources();
    const totalElapsedSeconds = (Date.now() - messageBeganAt) / 1000;
-   const averageCps = tokensGenerated / totalElapsedSeconds;
+   const averageCps = (tokensGenerated + thinkingTokens) / totalElapsedSeconds;
    const container = new ContainerBuilder();
    container.addTextDisplayComponents(
       new TextDisplayBuilder().setContent(`-# ${trimString(userPrompt)}`)
    );
    let filesToAttach = [];
-   if (hasVision) {
+   const gallery = new MediaGalleryBuilder();
+   for (const visionAttachment of visionAttachments) {
       // reupload
-      const inputImageContents = Buffer.from(
-         await (await fetch(visionAttachment.url)).arrayBuffer()
-      );
+      let inputImageContents = null;
+      try {
+         const response = await fetch(visionAttachment.url);
+         if (!response.ok) {
+            throw new Error(`download failed with status ${response.status}`);
+         }
+         inputImageContents = Buffer.from(await response.arrayBuffer());
+      } catch (err) {
+         // Discord attachment URLs expire, which happens when retrying a restored conversation
+         console.error("Failed to reupload vision attachment:", err);
+         continue;
+      }
       const vfn =
          "vision-" +
          randomBytes(4).toString("hex") +
          "." +
          mimeToExt(visionAttachment.contentType || "image/png");
-      const visionAttachment2 = new AttachmentBuilder(inputImageContents, {
-         name: vfn
-      });
-      filesToAttach.push(visionAttachment2);
-      container.addMediaGalleryComponents(
-         new MediaGalleryBuilder().addItems((item) =>
-            item.setURL(`attachment://${vfn}`)
-         )
+      filesToAttach.push(
+         new AttachmentBuilder(inputImageContents, { name: vfn })
+      );
+      gallery.addItems((item) => item.setURL(`attachment://${vfn}`));
+   }
+   if (gallery.items.length > 0) {
+      container.addMediaGalleryComponents(gallery);
+   }
+   const documentNames = documents
+      .filter((doc) => doc.kind !== "image")
+      .map((doc) => `\`${doc.name}\`${doc.truncated ? " (truncated)" : ""}`);
+   if (documentNames.length > 0) {
+      container.addTextDisplayComponents(
+         new TextDisplayBuilder().setContent(`-# Files: ${documentNames.join(", ")}`)
       );
    }
    container.addSeparatorComponents(
       new SeparatorBuilder().setDivider(true).setSpacing(1)
    );
 
+   if (reasoning) {
+      addThinkingSection(container, filesToAttach, reasoning, thinkingTokens);
+      container.addSeparatorComponents(
+         new SeparatorBuilder().setDivider(true).setSpacing(1)
+      );
+   }
+
+   const linkedText = linkCitations(responseText, sources);
    if (responseText.length >= 2000) {
       const file = new AttachmentBuilder(Buffer.from(responseText, "utf-8"), {
          name: "response.txt",
@@ -381,7 +813,20 @@ async function performInferenceTextMode(umid, isRetry = false) {
       );
    } else {
       container.addTextDisplayComponents(
-         new TextDisplayBuilder().setContent(responseText)
+         new TextDisplayBuilder().setContent(
+            // Links make the text longer, fall back to bare markers if they'd push it over the limit
+            linkedText.length < 2000 ? linkedText : responseText
+         )
+      );
+   }
+   if (sources.length > 0) {
+      addSourcesSection(container, sources);
+   }
+   if (toolCalls.length > 0) {
+      container.addTextDisplayComponents(
+         new TextDisplayBuilder().setContent(
+            `-# Tools used: ${toolCalls.map((c) => c.name).join(", ")}`
+         )
       );
    }
    container.addSeparatorComponents(
@@ -389,7 +834,7 @@ async function performInferenceTextMode(umid, isRetry = false) {
    );
    container.addTextDisplayComponents(
       new TextDisplayBuilder().setContent(
-         `-# ${tokensGenerated} tokens, ${averageCps.toFixed(1)} tokens per second, ${totalElapsedSeconds.toFixed(2)} seconds elapsed`
+         `-# ${tokensGenerated} tokens${thinkingTokens > 0 ? ` (+${thinkingTokens} thinking)` : ""}, ${averageCps.toFixed(1)} tokens per second, ${totalElapsedSeconds.toFixed(2)} seconds elapsed`
       )
    );
    container.addTextDisplayComponents(
@@ -397,7 +842,7 @@ async function performInferenceTextMode(umid, isRetry = false) {
    );
 
    userLogger.info(
-      `(SupportId:${logging.supportId}) User ${logging.username} (${logging.userId}) completed text generation in guild ${logging.guild} using model ${modelUsed}, generating ${tokensGenerated} tokens in ${totalElapsedSeconds.toFixed(2)} seconds (${averageCps.toFixed(2)} tok/sec).`
+      `(SupportId:${logging.supportId}) User ${logging.username} (${logging.userId}) completed text generation in guild ${logging.guild} using model ${modelUsed}, generating ${tokensGenerated} tokens (${thinkingTokens} thinking) in ${totalElapsedSeconds.toFixed(2)} seconds (${averageCps.toFixed(2)} tok/sec)${attempts > 1 ? ` after ${attempts} attempts` : ""}.`
    );
    userLogger.debug(
       JSON.stringify({
@@ -405,17 +850,111 @@ async function performInferenceTextMode(umid, isRetry = false) {
          ...logging,
          responseText,
          tokensGenerated,
+         thinkingTokens,
          totalElapsedSeconds,
-         averageCps
+         averageCps,
+         attempts
       })
    );
 
-   await editReply({
+   const buttons = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+         .setCustomId(`texgen-retry-${umid}`)
+         .setLabel("Retry")
+         .setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder()
+         .setCustomId(`texgen-edit-${umid}`)
+         .setLabel("Edit prompt")
+         .setStyle(ButtonStyle.Secondary)
+   );
+
+   const reply = await editReply({
       content: null,
-      components: [container],
+      components: [container, buttons],
       flags: MessageFlags.IsComponentsV2,
       files: filesToAttach
    });
+   data.replyRef = msgToRef(reply);
+   persistUserMessage(umid);
+}
+
+/**
+ * Turn [n] citation markers into links to the nth source, code blocks are left alone
+ * @param {string} text
+ * @param {Array<import("../../lib/LMArena.mjs").Source>} sources
+ */
+function linkCitations(text, sources) {
+   if (sources.length === 0) return text;
+   return text
+      .split("```")
+      .map((part, i) =>
+         i % 2 === 1
+            ? part
+            : part.replace(/\[(\d+)\](?!\()/g, (match, n) => {
+                 const source = sources[Number(n) - 1];
+                 return source ? `[\\[${n}\\]](<${source.url}>)` : match;
+              })
+      )
+      .join("```");
+}
+
+/**
+ * Numbered list of the reply's sources, matching the numbers used by `linkCitations`
+ * @param {ContainerBuilder} container
+ * @param {Array<import("../../lib/LMArena.mjs").Source>} sources
+ */
+function addSourcesSection(container, sources) {
+   const lines = ["-# Sources"];
+   let length = lines[0].length;
+   for (const [i, source] of sources.entries()) {
+      const title = (source.title || source.url).replace(/[[\]]/g, "");
+      const line = `${i + 1}. [${trimString(title)}](<${source.url}>)`;
+      // Leave room in the container for the rest of the reply
+      if (length + line.length > 1500) {
+         lines.push(`-# ...and ${sources.length - i} more`);
+         break;
+      }
+      lines.push(line);
+      length += line.length + 1;
+   }
+   container.addTextDisplayComponents(
+      new TextDisplayBuilder().setContent(lines.join("\n"))
+   );
+}
+
+/**
+ * Show a reply's reasoning, short reasoning goes in a spoiler so it stays collapsed until clicked, long reasoning is attached as a file
+ * @param {ContainerBuilder} container
+ * @param {Array<AttachmentBuilder>} filesToAttach
+ * @param {import("../../lib/LMArena.mjs").Reasoning} reasoning
+ * @param {number} thinkingTokens
+ */
+function addThinkingSection(container, filesToAttach, reasoning, thinkingTokens) {
+   let header = `-# Thinking (${thinkingTokens} tokens)`;
+   if (reasoning.redacted.length > 0) {
+      header += `\n-# ${reasoning.redacted.length} reasoning block(s) were redacted by the provider`;
+   }
+   const text = reasoning.text.trim();
+   if (text.length === 0) {
+      container.addTextDisplayComponents(new TextDisplayBuilder().setContent(header));
+   } else if (text.length <= 1000) {
+      container.addTextDisplayComponents(
+         new TextDisplayBuilder().setContent(
+            `${header}\n||${text.replaceAll("||", "|\u200b|")}||`
+         )
+      );
+   } else {
+      filesToAttach.push(
+         new AttachmentBuilder(Buffer.from(text, "utf-8"), {
+            name: "thinking.txt",
+            description: "Model reasoning"
+         })
+      );
+      container.addTextDisplayComponents(new TextDisplayBuilder().setContent(header));
+      container.addFileComponents(
+         new FileBuilder().setURL("attachment://thinking.txt")
+      );
+   }
 }
 
 async function generateImage(interaction, ahh) {
@@ -426,25 +965,14 @@ async function generateImage(interaction, ahh) {
    const startTime = Date.now();
    for await (const chunk of chat.sendMessage(message)) {
       console.log(chunk);
-      // a0/c0 are only fired for an error, they are never sent normally
-      if (chunk.event === "a0") {
-         optionalContent += chunk.data;
-      } else if (chunk.event === "c0") {
-         optionalContent += chunk.data;
+      if (isErrorEvent(chunk)) {
+         optionalContent += formatArenaError(chunk.data);
          userLogger.debug(
             JSON.stringify({
                event: "imageGenerationFailure",
                ...logging,
-               failureReason: "arena moderation block"
-            })
-         );
-      } else if (chunk.event === "a3") {
-         optionalContent += "An unknown error occurred.";
-         userLogger.debug(
-            JSON.stringify({
-               event: "imageGenerationFailure",
-               ...logging,
-               failureReason: "provider-based error"
+               failureReason: chunk.data.kind,
+               status: chunk.data.status
             })
          );
       } else if (chunk.event === "a2") {
@@ -468,10 +996,6 @@ async function generateImage(interaction, ahh) {
             }
          }
       } else if (chunk.event === "ad") {
-         if (chunk.data === "retry") {
-            await generateImage(interaction, ahh);
-            return;
-         }
          break;
       }
    }
@@ -516,53 +1040,641 @@ async function generateImage(interaction, ahh) {
    );
    container.addTextDisplayComponents(
       new TextDisplayBuilder().setContent(
-         `-# Model used: ${logging.model}, took ${durationSeconds.toFixed(2)} seconds\n-# Support ID: ${logging.supportId} (use this when making a support post)`
+         `-# Model used: ${logging.model}, took ${durationSeconds.toFixed(2)} seconds\n-# Support ID: ${logging.supportId} (use this when making a support post)`
+      )
+   );
+
+   userLogger.info(
+      `(SupportId:${logging.supportId}) User ${logging.username} (${logging.userId}) completed image generation in guild ${logging.guild} using model ${logging.model}, generating ${items.length} images.`
+   );
+   userLogger.debug(
+      JSON.stringify({
+         event: "imageGenerationComplete",
+         ...logging,
+         numImages: items.length
+      })
+   );
+
+   await interaction.editReply({
+      components: [container],
+      flags: MessageFlags.IsComponentsV2,
+      files: filesToAttach
+   });
+}
+
+/**
+ * @param {number} bytes
+ */
+const formatMB = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+/**
+ * Upload Discord attachments to R2 one after another. Each file is streamed to a temp file and from there to R2,
+ * so even big files never sit in memory. The deferred reply shows every file's progress, then its URL.
+ * @param {ChatInputCommandInteraction} interaction
+ * @param {Array<Attachment>} attachments
+ * @returns {Promise<Array<{ name: string, url: string | null, error: string | null }>>}
+ */
+async function uploadFilesToR2(interaction, attachments) {
+   const uploads = attachments.map((attachment) => ({
+      name: attachment.name,
+      status: "waiting",
+      url: null,
+      error: null
+   }));
+   // URLs are only listed once everything is done, a few signed URLs can go over the message limit
+   const render = (withUrls = false) =>
+      uploads
+         .map((u) => {
+            const status = u.url ? (withUrls ? u.url : "done") : u.error ? `failed, ${u.error}` : u.status;
+            return `\`${u.name}\`: ${status}`;
+         })
+         .join("\n");
+   let lastMsgUpdate = 0;
+   const update = async (force = false) => {
+      const now = Date.now();
+      if (!force && (now - lastMsgUpdate) / 1000 < 2) return;
+      lastMsgUpdate = now;
+      await interaction.editReply(render());
+   };
+
+   const tempDir = await mkdtemp(path.join(tmpdir(), "lmarena-r2-"));
+   try {
+      for (const [i, attachment] of attachments.entries()) {
+         const upload = uploads[i];
+         const filePath = path.join(tempDir, `${i}`);
+         try {
+            upload.status = `downloading (${formatMB(attachment.size)})`;
+            await update(true);
+            const response = await fetch(attachment.proxyURL);
+            if (!response.ok || !response.body) {
+               throw new Error(`download failed with status ${response.status}`);
+            }
+            await pipeline(Readable.fromWeb(response.body), createWriteStream(filePath));
+
+            const fileType = await fileTypeFromFile(filePath);
+            const { url } = await lmArena.sessionManager.uploadAttachmentToR2(
+               { doesSessionExist: false },
+               {
+                  mime: fileType?.mime ?? attachment.contentType ?? "application/octet-stream",
+                  size: attachment.size,
+                  filePath,
+                  r2Key: null,
+                  r2BucketUrl: null
+               },
+               true,
+               ({ percentage, bytesUploaded, totalSize }) => {
+                  upload.status = `uploading ${percentage}% (${formatMB(bytesUploaded)} / ${formatMB(totalSize)})`;
+                  update().catch((err) => console.error("Async task failed:", err));
+               }
+            );
+            upload.url = url;
+         } catch (err) {
+            console.error(`Failed to upload ${attachment.name} to R2:`, err);
+            upload.error = err.message;
+         } finally {
+            await rm(filePath, { force: true });
+         }
+         await update(true);
+      }
+   } finally {
+      await rm(tempDir, { recursive: true, force: true });
+   }
+   const summary = render(true);
+   if (summary.length < 2000) {
+      await interaction.editReply(summary);
+   } else {
+      await interaction.editReply({
+         content: render(),
+         files: [
+            new AttachmentBuilder(Buffer.from(summary, "utf-8"), {
+               name: "r2-urls.txt"
+            })
+         ]
+      });
+   }
+   return uploads.map(({ name, url, error }) => ({ name, url, error }));
+}
+
+/**
+ * Download a file the user attached to the command
+ * @param {Attachment} upload
+ * @returns {Promise<Buffer>}
+ */
+async function downloadUpload(upload) {
+   let response;
+   try {
+      response = await fetch(upload.proxyURL);
+   } catch (err) {
+      throw new DocumentError(`Failed to download ${upload.name}: ${err.message}`, upload.name);
+   }
+   if (!response.ok) {
+      await response.body?.cancel();
+      throw new DocumentError(`Failed to download ${upload.name} (status ${response.status}).`, upload.name);
+   }
+   return Buffer.from(await response.arrayBuffer());
+}
+
+// Bigger videos are linked instead of attached, Discord rejects uploads over its limit
+const MAX_VIDEO_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Download a generated video to attach it, stops as soon as it's over the upload limit
+ * @param {string} url
+ * @returns {Promise<{ contents: Buffer } | { error: "too_large" | "failed" }>} Videos with an error are linked
+ */
+async function downloadVideo(url) {
+   try {
+      const response = await fetch(url);
+      if (!response.ok || !response.body) {
+         userLogger.warn(`Failed to download video ${url}: status ${response.status}`);
+         await response.body?.cancel();
+         return { error: "failed" };
+      }
+      if (Number(response.headers.get("content-length")) > MAX_VIDEO_UPLOAD_BYTES) {
+         await response.body.cancel();
+         return { error: "too_large" };
+      }
+      const chunks = [];
+      let size = 0;
+      // Leaving the loop early cancels the download
+      for await (const chunk of response.body) {
+         size += chunk.length;
+         if (size > MAX_VIDEO_UPLOAD_BYTES) return { error: "too_large" };
+         chunks.push(chunk);
+      }
+      return { contents: Buffer.concat(chunks) };
+   } catch (err) {
+      userLogger.warn(`Failed to download video ${url}: ${err.message}`);
+      return { error: "failed" };
+   }
+}
+
+/**
+ * Generate a video, the reply shows progress until the video is ready
+ * @param {ChatInputCommandInteraction} interaction
+ * @param {{ chat: Chat, message: ArenaMessage, logging: Object }} job
+ */
+async function generateVideo(interaction, job) {
+   const { chat, message, logging } = job;
+   const startTime = Date.now();
+   let status = "starting";
+   let progress = null;
+   const updateProgress = () =>
+      interaction
+         .editReply(
+            `\`Generating video | ${status}${progress !== null ? ` | ${Math.round(progress)}%` : ""} | ${((Date.now() - startTime) / 1000).toFixed(0)}s elapsed\``
+         )
+         .catch((err) => console.error("Async task failed:", err));
+   await updateProgress();
+   // Rendering can go quiet for minutes, keep the elapsed time moving
+   const ticker = setInterval(updateProgress, 5000);
+
+   let result;
+   try {
+      result = await chat.generateVideo(message, (update) => {
+         status = update.status;
+         progress = update.progress;
+      });
+   } finally {
+      clearInterval(ticker);
+   }
+   const durationSeconds = (Date.now() - startTime) / 1000;
+
+   const container = new ContainerBuilder();
+   container.addTextDisplayComponents(
+      new TextDisplayBuilder().setContent(`-# ${trimString(message.content)}`)
+   );
+   container.addSeparatorComponents(
+      new SeparatorBuilder().setDivider(true).setSpacing(1)
+   );
+   if (result.error && result.videos.length === 0) {
+      container.addTextDisplayComponents(
+         new TextDisplayBuilder().setContent(formatArenaError(result.error.toJSON()))
+      );
+      userLogger.debug(
+         JSON.stringify({
+            event: "videoGenerationFailure",
+            ...logging,
+            failureReason: result.error.kind,
+            status: result.error.status
+         })
+      );
+   }
+   const filesToAttach = [];
+   const links = { too_large: [], failed: [] };
+   for (const video of result.videos) {
+      const download = await downloadVideo(video.url);
+      if ("error" in download) {
+         links[download.error].push(video.url);
+         continue;
+      }
+      const fileName =
+         "video-" + randomBytes(4).toString("hex") + "." + mimeToExt(video.mimeType);
+      filesToAttach.push(new AttachmentBuilder(download.contents, { name: fileName }));
+   }
+   if (filesToAttach.length > 0) {
+      container.addMediaGalleryComponents(
+         new MediaGalleryBuilder().addItems(
+            ...filesToAttach.map((f) =>
+               new MediaGalleryItemBuilder().setURL(`attachment://${f.name}`)
+            )
+         )
+      );
+   }
+   for (const [reason, urls] of Object.entries(links)) {
+      if (urls.length === 0) continue;
+      container.addTextDisplayComponents(
+         new TextDisplayBuilder().setContent(
+            `${reason === "too_large" ? "Too large to upload here" : "Couldn't be attached"}:\n${urls.map((url) => `<${url}>`).join("\n")}`
+         )
+      );
+   }
+   container.addSeparatorComponents(
+      new SeparatorBuilder().setDivider(true).setSpacing(1)
+   );
+   container.addTextDisplayComponents(
+      new TextDisplayBuilder().setContent(
+         `-# Model used: ${logging.model}, took ${durationSeconds.toFixed(2)} seconds\n-# Support ID: ${logging.supportId} (use this when making a support post)`
+      )
+   );
+
+   userLogger.info(
+      `(SupportId:${logging.supportId}) User ${logging.username} (${logging.userId}) completed video generation in guild ${logging.guild} using model ${logging.model}, generating ${result.videos.length} videos in ${durationSeconds.toFixed(2)} seconds.`
+   );
+   userLogger.debug(
+      JSON.stringify({
+         event: "videoGenerationComplete",
+         ...logging,
+         numVideos: result.videos.length,
+         durationSeconds
+      })
+   );
+
+   await interaction.editReply({
+      content: null,
+      components: [container],
+      flags: MessageFlags.IsComponentsV2,
+      files: filesToAttach
+   });
+}
+
+/**
+ *
+ * @param {ButtonInteraction} bInteraction
+ * @param {string} umid
+ * @returns
+ */
+export async function retryMessage(bInteraction, umid) {
+   const data = userMessagesMap.get(umid);
+   if (!data) {
+      await bInteraction.reply({
+         content: "message not found",
+         flags: MessageFlags.Ephemeral
+      });
+      return;
+   }
+
+   // Retrying a reply that's still streaming replaces it
+   const running = activeGenerations.get(umid);
+   if (running) {
+      activeGenerations.delete(umid);
+      running.abort();
+   }
+
+   // The reply outlives both the interaction token and restarts, so delete it through its ref when we have one
+   const oldReply = data.replyRef
+      ? await refToMsg(data.replyRef, bInteraction.client).catch(() => null)
+      : null;
+   if (oldReply) {
+      await oldReply.delete();
+   } else {
+      await data.interaction?.deleteReply();
+   }
+
+   await bInteraction.deferReply();
+
+   // The chat may have moved on to an edited branch since
+   data.lmChat.switchBranch(data.message.id);
+   data.interaction = bInteraction;
+   userMessagesMap.set(umid, data); // make sure it propagated
+
+   // We recreated a new reply, now rerun generation.
+   await performInferenceTextMode(umid, true);
+}
+
+/**
+ * Stop a text generation that's still streaming, what was generated so far becomes the reply
+ * @param {ButtonInteraction} bInteraction
+ * @param {string} umid
+ */
+export async function stopGeneration(bInteraction, umid) {
+   const data = userMessagesMap.get(umid);
+   const controller = activeGenerations.get(umid);
+   if (!data || !controller) {
+      await bInteraction.reply({
+         content: "This generation already finished.",
+         flags: MessageFlags.Ephemeral
+      });
+      return;
+   }
+   if (bInteraction.user.id !== data.logging.userId) {
+      await bInteraction.reply({
+         content: "Only the person who started this generation can stop it.",
+         flags: MessageFlags.Ephemeral
+      });
+      return;
+   }
+   await bInteraction.deferUpdate();
+   controller.abort();
+}
+
+/**
+ * Open a modal to rewrite the prompt of a text generation
+ * @param {ButtonInteraction} bInteraction
+ * @param {string} umid
+ */
+export async function showEditPrompt(bInteraction, umid) {
+   const data = userMessagesMap.get(umid);
+   if (!data) {
+      await bInteraction.reply({
+         content: "message not found",
+         flags: MessageFlags.Ephemeral
+      });
+      return;
+   }
+
+   const modal = new ModalBuilder()
+      .setCustomId(`texgen-edit-${umid}`)
+      .setTitle("Edit prompt")
+      .addComponents(
+         new ActionRowBuilder().addComponents(
+            new TextInputBuilder()
+               .setCustomId("prompt")
+               .setLabel("Prompt")
+               .setStyle(TextInputStyle.Paragraph)
+               .setMaxLength(4000)
+               .setValue(data.meta.userPrompt.substring(0, 4000))
+               .setRequired(true)
+         )
+      );
+   await bInteraction.showModal(modal);
+}
+
+/**
+ * Regenerate from an edited prompt, the edit is sent as a new branch of the same chat and gets its own reply
+ * @param {ModalSubmitInteraction} mInteraction
+ * @param {string} umid
+ */
+export async function submitEditPrompt(mInteraction, umid) {
+   const data = userMessagesMap.get(umid);
+   if (!data) {
+      await mInteraction.reply({
+         content: "message not found",
+         flags: MessageFlags.Ephemeral
+      });
+      return;
+   }
+   const prompt = mInteraction.fields.getTextInputValue("prompt");
+   const supportId = generateSupportId();
+
+   await mInteraction.deferReply();
+
+   userMessagesMap.set(mInteraction.id, {
+      message: {
+         role: "user",
+         content: inlineDocuments(prompt, data.meta.documentText),
+         // Already uploaded, the edit reuses them
+         attachments: [...data.message.attachments]
+      },
+      interaction: mInteraction,
+      replyRef: null,
+      lmChat: data.lmChat,
+      editOf: data.message.id,
+      meta: { ...data.meta, userPrompt: prompt },
+      logging: { ...data.logging, supportId, prompt }
+   });
+
+   userLogger.info(
+      `(SupportId:${supportId}) User ${data.logging.username} (${data.logging.userId}) edited the prompt of ${data.logging.supportId} to ${prompt}.`
+   );
+
+   await performInferenceTextMode(mInteraction.id);
+}
+
+/**
+ * Render a battle, model names stay hidden in anonymous battles until the vote is in
+ * @param {string} bmid
+ */
+function buildBattleMessage(bmid) {
+   const battle = battlesMap.get(bmid);
+   const { meta, replies, stats, vote, logging } = battle;
+   const session = battle.lmChat.session;
+   const revealed = !meta.anonymous || vote !== null;
+   const names = {
+      a: revealed ? session.modelName : "Model A",
+      b: revealed ? session.battle.modelBName : "Model B"
+   };
+
+   const container = new ContainerBuilder();
+   container.addTextDisplayComponents(
+      new TextDisplayBuilder().setContent(`-# ${trimString(meta.userPrompt)}`)
+   );
+   const files = [];
+   for (const side of ["a", "b"]) {
+      container.addSeparatorComponents(
+         new SeparatorBuilder().setDivider(true).setSpacing(1)
+      );
+      container.addTextDisplayComponents(
+         new TextDisplayBuilder().setContent(`### ${side.toUpperCase()}: ${names[side]}`)
+      );
+      // Both replies share the message's text limit
+      if (replies[side].length >= 1800) {
+         const name = `response-${side}.txt`;
+         files.push(
+            new AttachmentBuilder(Buffer.from(replies[side], "utf-8"), {
+               name,
+               description: `Full response of model ${side.toUpperCase()}`
+            })
+         );
+         container.addFileComponents(new FileBuilder().setURL(`attachment://${name}`));
+      } else {
+         container.addTextDisplayComponents(
+            new TextDisplayBuilder().setContent(replies[side] || "*(no response)*")
+         );
+      }
+   }
+   container.addSeparatorComponents(
+      new SeparatorBuilder().setDivider(true).setSpacing(1)
+   );
+   if (stats) {
+      container.addTextDisplayComponents(
+         new TextDisplayBuilder().setContent(
+            `-# A: ${stats.tokensA} tokens, B: ${stats.tokensB} tokens, ${stats.elapsedSeconds.toFixed(2)} seconds elapsed`
+         )
+      );
+   }
+   container.addTextDisplayComponents(
+      new TextDisplayBuilder().setContent(
+         `${vote ? `-# Voted: ${VOTE_LABELS[vote]}\n` : ""}-# Support ID: ${logging.supportId} (use this when making a support post)`
       )
    );
 
-   userLogger.info(
-      `(SupportId:${logging.supportId}) User ${logging.username} (${logging.userId}) completed image generation in guild ${logging.guild} using model ${logging.model}, generating ${items.length} images.`
+   const buttons = new ActionRowBuilder().addComponents(
+      Object.entries(VOTE_LABELS).map(([key, label]) =>
+         new ButtonBuilder()
+            .setCustomId(`battle-vote-${bmid}-${key}`)
+            .setLabel(label)
+            .setStyle(key === vote ? ButtonStyle.Primary : ButtonStyle.Secondary)
+            .setDisabled(vote !== null)
+      )
    );
+   return {
+      content: null,
+      components: [container, buttons],
+      flags: MessageFlags.IsComponentsV2,
+      files
+   };
+}
+
+/**
+ * Stream both sides of a battle turn into the reply
+ * @param {string} bmid
+ */
+async function performBattle(bmid) {
+   const battle = battlesMap.get(bmid);
+   const { interaction, lmChat: chat, logging } = battle;
+   const message = {
+      role: "user",
+      content: battle.meta.userPrompt,
+      attachments: []
+   };
+
+   await interaction.editReply("`A: 0 tokens | B: 0 tokens | 0s elapsed`");
+   const startedAt = Date.now();
+   const tokens = { a: 0, b: 0 };
+   const replies = { a: "", b: "" };
+   const finished = new Set();
+   let lastMsgUpdate = Date.now();
+
+   for await (const chunk of chat.sendMessage(message)) {
+      const side = chunk.event[0];
+      const code = chunk.event[1];
+      if (chunk.event === "cx") {
+         // Failures of the whole turn, like moderation blocks
+         replies.a = replies.b = formatArenaError(chunk.data);
+         break;
+      }
+      if (side !== "a" && side !== "b") continue;
+      if (code === "0") {
+         tokens[side]++;
+         replies[side] += chunk.data;
+      } else if (code === "x") {
+         replies[side] += `${replies[side] ? "\n\n" : ""}${formatArenaError(chunk.data)}`;
+      } else if (code === "d") {
+         if (chunk.data === "err") break;
+         finished.add(side);
+         if (finished.size === 2) break;
+      }
+
+      const now = Date.now();
+      if ((now - lastMsgUpdate) / 1000 >= 2) {
+         lastMsgUpdate = now;
+         interaction
+            .editReply(
+               `\`A: ${tokens.a} tokens | B: ${tokens.b} tokens | ${((now - startedAt) / 1000).toFixed(2)}s elapsed\``
+            )
+            .catch((err) => console.error("Async task failed:", err));
+      }
+   }
+
+   battle.replies = replies;
+   battle.stats = {
+      tokensA: tokens.a,
+      tokensB: tokens.b,
+      elapsedSeconds: (Date.now() - startedAt) / 1000
+   };
    userLogger.debug(
       JSON.stringify({
-         event: "imageGenerationComplete",
+         event: "battleComplete",
          ...logging,
-         numImages: items.length
+         replies,
+         ...battle.stats
       })
    );
 
-   await interaction.editReply({
-      components: [container],
-      flags: MessageFlags.IsComponentsV2,
-      files: filesToAttach
-   });
+   const reply = await interaction.editReply(buildBattleMessage(bmid));
+   battle.replyRef = msgToRef(reply);
+   persistBattle(bmid);
 }
 
 /**
- *
+ * Cast the vote on a battle and reveal the models
  * @param {ButtonInteraction} bInteraction
- * @param {string} umid
- * @returns
+ * @param {string} bmid
+ * @param {import("../../lib/SessionManager.mjs").BattleVote} vote
  */
-export async function retryMessage(bInteraction, umid) {
-   const data = userMessagesMap.get(umid);
-   if (!data) {
+export async function voteBattle(bInteraction, bmid, vote) {
+   const battle = battlesMap.get(bmid);
+   if (!battle) {
       await bInteraction.reply({
-         content: "message not found",
+         content: "battle not found",
+         flags: MessageFlags.Ephemeral
+      });
+      return;
+   }
+   if (bInteraction.user.id !== battle.logging.userId) {
+      await bInteraction.reply({
+         content: "Only the person who started this battle can vote.",
+         flags: MessageFlags.Ephemeral
+      });
+      return;
+   }
+   if (battle.vote !== null) {
+      await bInteraction.reply({
+         content: "This battle has already been voted on.",
          flags: MessageFlags.Ephemeral
       });
       return;
    }
 
-   await data.interaction.deleteReply();
-
-   await bInteraction.deferReply();
+   await bInteraction.deferUpdate();
+   let result;
+   try {
+      result = await battle.lmChat.vote(vote);
+   } catch (err) {
+      await bInteraction.followUp({
+         content: `Could not submit the vote: ${err.message}`,
+         flags: MessageFlags.Ephemeral
+      });
+      return;
+   }
+   battle.vote = vote;
+   persistBattle(bmid);
+   getVoteStore().recordVote({
+      modelA: result.modelA,
+      modelB: result.modelB,
+      winner: vote,
+      category: categorizePrompt(battle.meta.userPrompt),
+      // The arena calls text battles "chat"
+      modality: battle.lmChat.session.lmSession.modality === "image" ? "image" : "text",
+      userId: battle.logging.userId,
+      anonymous: battle.meta.anonymous
+   });
 
-   data.interaction = bInteraction;
-   userMessagesMap.set(umid, data); // make sure it propagated
+   userLogger.info(
+      `(SupportId:${battle.logging.supportId}) User ${battle.logging.username} (${battle.logging.userId}) voted ${vote} on a battle between ${result.modelA} and ${result.modelB}.`
+   );
+   userLogger.debug(
+      JSON.stringify({
+         event: "battleVote",
+         ...battle.logging,
+         modelA: result.modelA,
+         modelB: result.modelB,
+         vote
+      })
+   );
 
-   // We recreated a new reply, now rerun generation.
-   await performInferenceTextMode(umid, true);
+   await bInteraction.editReply(buildBattleMessage(bmid));
 }
 
 function diffStrings(a, b) {
@@ -697,7 +1809,7 @@ export async function execute(interaction) {
          const lastCache = safeReadFile(AnonModelPath, "utf-8");
 
          for (let [key, value] of lmArena.models.entries()) {
-            if (!value.organization || !value.provider) {
+            if (isAnonymousModel(value)) {
                anonModels.push(value.publicName);
             }
          }
@@ -810,35 +1922,14 @@ export async function execute(interaction) {
          break;
       }
       case "r2": {
-         const attachment = interaction.options.getAttachment("file", true);
+         const attachments = ["file", "file2", "file3", "file4", "file5"]
+            .map((name) => interaction.options.getAttachment(name))
+            .filter(Boolean);
          await interaction.deferReply({ flags: MessageFlags.Ephemeral });
-         const fResponse = await fetch(attachment.proxyURL);
-         const buffer = Buffer.from(await fResponse.arrayBuffer());
-         const fileType = await fileTypeFromBuffer(buffer);
-
-         const response = await lmArena.sessionManager.uploadAttachmentToR2(
-            {
-               doesSessionExist: false
-            },
-            {
-               mime: fileType ? fileType.mime : attachment.contentType,
-               content: buffer
-            }
-         );
-
-         if (response && response.url && response.url.length > 0) {
-            await interaction.editReply(`${response.url}`);
-         } else {
-            await interaction.editReply({
-               content: `Upload failed, no URL returned. Full response:\n\`\`\`json\n${JSON.stringify(
-                  response,
-                  null,
-                  2
-               )}\n\`\`\``
-            });
-         }
+         const results = await uploadFilesToR2(interaction, attachments);
+         const uploaded = results.filter((r) => r.url).length;
          userLogger.info(
-            `User ${username} (${id}) uploaded a file to R2 in guild ${runningFromGuildName}`
+            `User ${username} (${id}) uploaded ${uploaded}/${results.length} file(s) (${results.map((r) => r.name).join(", ")}) to R2 in guild ${runningFromGuildName}`
          );
          break;
       }
@@ -879,25 +1970,163 @@ export async function execute(interaction) {
 
          break;
       }
+      case "battle": {
+         const prompt = interaction.options.getString("prompt", true);
+         let modelA = interaction.options.getString("model-a");
+         let modelB = interaction.options.getString("model-b");
+         const textModels = Array.from(lmArena.models.entries())
+            .filter(([, value]) => value.capabilities.outputCapabilities.text)
+            .map(([key]) => key);
+         for (const model of [modelA, modelB]) {
+            if (model && !textModels.includes(model)) {
+               await interaction.reply({
+                  content: `Model ${model} not found or can't generate text.`,
+                  flags: MessageFlags.Ephemeral
+               });
+               return;
+            }
+         }
+         const anonymous = !modelA && !modelB;
+         const pickOther = (other) => {
+            const pool = textModels.filter((m) => m !== other);
+            return pool[Math.floor(Math.random() * pool.length)];
+         };
+         modelA ??= pickOther(modelB);
+         modelB ??= pickOther(modelA);
+         if (modelA === modelB) {
+            await interaction.reply({
+               content: "Pick two different models.",
+               flags: MessageFlags.Ephemeral
+            });
+            return;
+         }
+
+         await interaction.deferReply();
+         const supportId = generateSupportId();
+         const chat = lmArena.startBattle(modelA, modelB, "chat", { anonymous });
+         const logging = {
+            supportId,
+            userId: id,
+            username,
+            guild: runningFromGuildName,
+            modelA,
+            modelB,
+            anonymous,
+            prompt
+         };
+         battlesMap.set(interaction.id, {
+            interaction,
+            replyRef: null,
+            lmChat: chat,
+            meta: { userPrompt: prompt, anonymous },
+            replies: { a: "", b: "" },
+            stats: null,
+            vote: null,
+            logging
+         });
+
+         userLogger.info(
+            `(SupportId:${supportId}) User ${username} (${id}) started a${anonymous ? "n anonymous" : ""} battle between ${modelA} and ${modelB} with prompt ${prompt} in guild ${runningFromGuildName}.`
+         );
+         userLogger.debug(
+            JSON.stringify({ event: "battleStart", ...logging })
+         );
+
+         await performBattle(interaction.id);
+         break;
+      }
+      case "leaderboard": {
+         const modality = interaction.options.getString("modality") ?? "text";
+         const window = interaction.options.getString("window") ?? "all time";
+         const category = interaction.options.getString("category");
+         const windowMs = LEADERBOARD_WINDOWS[window];
+         const { votes, ratings } = getVoteStore().getRatings({
+            modality,
+            category: category ?? undefined,
+            since: windowMs ? Date.now() - windowMs : undefined
+         });
+
+         const container = new ContainerBuilder();
+         container.addTextDisplayComponents(
+            new TextDisplayBuilder().setContent(
+               `### Leaderboard\n-# ${modality}, ${window}${category ? `, ${category}` : ""}, ${votes} votes`
+            )
+         );
+         container.addSeparatorComponents(
+            new SeparatorBuilder().setDivider(true).setSpacing(1)
+         );
+         const fmt = (rating, [lo, hi]) =>
+            `${Math.round(rating)} (+${Math.round(hi - rating)}/-${Math.round(rating - lo)})`;
+         const lines = ratings
+            .slice(0, LEADERBOARD_SIZE)
+            .map(
+               (r, i) =>
+                  `**${i + 1}.** ${r.model}\n-# BT ${fmt(r.bt, r.btCI)} · Elo ${fmt(r.elo, r.eloCI)} · ${r.wins}W ${r.losses}L ${r.ties}T`
+            );
+         container.addTextDisplayComponents(
+            new TextDisplayBuilder().setContent(
+               lines.length > 0
+                  ? lines.join("\n")
+                  : "No votes yet, start one with `/lmarena battle`."
+            )
+         );
+         if (ratings.length > LEADERBOARD_SIZE) {
+            container.addTextDisplayComponents(
+               new TextDisplayBuilder().setContent(
+                  `-# ${ratings.length - LEADERBOARD_SIZE} more models not shown`
+               )
+            );
+         }
+         await interaction.reply({
+            components: [container],
+            flags: MessageFlags.IsComponentsV2
+         });
+         break;
+      }
       case "text-gen": {
          await interaction.deferReply();
          const supportId = generateSupportId();
          const model = interaction.options.getString("model", true);
          const prompt = interaction.options.getString("prompt", true);
          const system = interaction.options.getString("system");
-         const vision = interaction.options.getAttachment("vision");
-         let visionBuffer = null;
-         if (vision) {
-            let modelData = lmArena.models.get(model);
-            if (!modelData.capabilities.inputCapabilities.image) {
-               await interaction.reply(
-                  "This model does not support image inputs."
-               );
-               return;
+         const uploads = ["vision", "file", "file2", "file3"]
+            .map((name) => interaction.options.getAttachment(name))
+            .filter(Boolean);
+         const modelData = lmArena.models.get(model);
+         if (!modelData?.capabilities.outputCapabilities.text) {
+            await interaction.editReply(`Model ${model} not found or can't generate text.`);
+            return;
+         }
+         let input;
+         try {
+            // Rejected before they're downloaded, Discord reports the size
+            for (const upload of uploads) {
+               checkFile(upload.name, upload.contentType, upload.size);
             }
-            const response = await fetch(vision.proxyURL);
-            visionBuffer = Buffer.from(await response.arrayBuffer());
+            const files = await Promise.all(
+               uploads.map(async (upload) => ({
+                  name: upload.name,
+                  mime: upload.contentType,
+                  content: await downloadUpload(upload)
+               }))
+            );
+            input = await buildPromptInput(
+               prompt,
+               files,
+               modelData.capabilities.inputCapabilities
+            );
+         } catch (err) {
+            if (!(err instanceof DocumentError)) throw err;
+            await interaction.editReply(err.message);
+            return;
          }
+         const visionAttachments = uploads
+            .filter((_, i) => input.documents[i].kind === "image")
+            .map((upload) => ({ url: upload.url, contentType: upload.contentType }));
+         const hasVision = visionAttachments.length > 0;
+         const documentNames = input.documents
+            .filter((doc) => doc.kind !== "image")
+            .map((doc) => doc.name);
 
          const chat = lmArena.startChat(model, "chat");
          if (system) {
@@ -909,16 +2138,9 @@ export async function execute(interaction) {
          }
          const message = {
             role: "user",
-            content: prompt,
-            attachments: []
+            content: input.content,
+            attachments: input.attachments
          };
-         if (visionBuffer !== null) {
-            message.attachments.push({
-               mime: vision.contentType,
-               content: visionBuffer,
-               r2BucketUrl: null
-            });
-         }
 
          const msg = await interaction.editReply(
             "`0 tokens | 0 tok/sec | 0s elapsed`"
@@ -927,12 +2149,15 @@ export async function execute(interaction) {
          userMessagesMap.set(interaction.id, {
             message: message,
             interaction,
+            replyRef: null,
             lmChat: chat,
             meta: {
                userPrompt: prompt,
                modelUsed: model,
-               visionAttachment: vision || undefined,
-               hasVision: !!visionBuffer
+               visionAttachments,
+               hasVision,
+               documents: input.documents,
+               documentText: input.documentText
             },
             logging: {
                supportId,
@@ -941,12 +2166,13 @@ export async function execute(interaction) {
                guild: runningFromGuildName,
                model,
                prompt,
-               hasVision: !!visionBuffer
+               hasVision,
+               documents: documentNames
             }
          });
 
          userLogger.info(
-            `(SupportId:${supportId}) User ${username} (${id}) started text generation with prompt ${prompt}, model ${model}${!!visionBuffer ? ", and image attachment" : ""} in guild ${runningFromGuildName}.`
+            `(SupportId:${supportId}) User ${username} (${id}) started text generation with prompt ${prompt}, model ${model}${hasVision ? `, ${visionAttachments.length} image attachment(s)` : ""}${documentNames.length > 0 ? `, files ${documentNames.join(", ")}` : ""} in guild ${runningFromGuildName}.`
          );
          // Machine-readable log
          userLogger.debug(
@@ -958,13 +2184,72 @@ export async function execute(interaction) {
                guild: runningFromGuildName,
                model,
                prompt,
-               hasVision: !!visionBuffer
+               hasVision,
+               documents: documentNames
             })
          );
 
          await performInferenceTextMode(interaction.id);
          break;
       }
+      case "video-gen": {
+         await interaction.deferReply();
+         const supportId = generateSupportId();
+         const model = interaction.options.getString("model", true);
+         const prompt = interaction.options.getString("prompt", true);
+         const image = interaction.options.getAttachment("image");
+         const modelData = lmArena.models.get(model);
+         if (!modelData?.capabilities.outputCapabilities.video) {
+            await interaction.editReply("This model can't generate videos.");
+            return;
+         }
+         const message = {
+            role: "user",
+            content: prompt,
+            attachments: []
+         };
+         if (image) {
+            if (!modelData.capabilities.inputCapabilities.image) {
+               await interaction.editReply(
+                  "This model does not support image inputs."
+               );
+               return;
+            }
+            const response = await fetch(image.proxyURL);
+            if (!response.ok) {
+               await response.body?.cancel();
+               await interaction.editReply(
+                  `Failed to download the input image (status ${response.status}).`
+               );
+               return;
+            }
+            message.attachments.push({
+               mime: image.contentType,
+               content: Buffer.from(await response.arrayBuffer()),
+               r2BucketUrl: null
+            });
+         }
+         const chat = lmArena.startChat(model, "video");
+         const logging = {
+            supportId,
+            userId: id,
+            username,
+            guild: runningFromGuildName,
+            model,
+            prompt,
+            hasImage: !!image
+         };
+
+         userLogger.info(
+            `(SupportId:${supportId}) User ${username} (${id}) started video generation with prompt ${prompt}, model ${model}${image ? ", and image attachment" : ""} in guild ${runningFromGuildName}.`
+         );
+         userLogger.debug(
+            JSON.stringify({ event: "videoGenerationStart", ...logging })
+         );
+
+         await generateVideo(interaction, { chat, message, logging });
+         break;
+      }
       case "image-gen": {
          await interaction.deferReply();
          const supportId = generateSupportId();
@@ -1083,11 +2368,120 @@ export async function execute(interaction) {
          );
          break;
       }
+      case "api-key-create":
+      case "api-key-revoke":
+      case "api-key-list":
+      case "api-key-usage": {
+         if (!superusers.includes(interaction.user.id)) {
+            await interaction.reply({
+               content: "Must be a superuser to use this command.",
+               flags: MessageFlags.Ephemeral
+            });
+            return;
+         }
+         await handleApiKeyCommand(interaction, subCommand);
+         userLogger.info(
+            `User ${username} (${id}) ran ${subCommand} in guild ${runningFromGuildName}`
+         );
+         break;
+      }
       default:
          break;
    }
 }
 
+/**
+ * Superuser management of the HTTP API's keys, every reply is ephemeral since it can contain keys
+ * @param {ChatInputCommandInteraction} interaction
+ * @param {string} subCommand
+ */
+async function handleApiKeyCommand(interaction, subCommand) {
+   const store = getApiKeyStore();
+   switch (subCommand) {
+      case "api-key-create": {
+         const models = interaction.options.getString("models");
+         const allowedModels = models
+            ? models.split(",").map((s) => s.trim()).filter((s) => s.length > 0)
+            : null;
+         const unknown = (allowedModels ?? []).filter((m) => !lmArena.models.has(m));
+         if (unknown.length > 0) {
+            await interaction.reply({
+               content: `Unknown models: ${unknown.join(", ")}`,
+               flags: MessageFlags.Ephemeral
+            });
+            return;
+         }
+         const { key, record } = store.createKey({
+            name: interaction.options.getString("name", true),
+            createdBy: interaction.user.id,
+            allowedModels,
+            perMinute: interaction.options.getInteger("per-minute"),
+            perDay: interaction.options.getInteger("per-day")
+         });
+         await interaction.reply({
+            content: `Created key \`${record.id}\` for ${record.name}. It won't be shown again:\n\`\`\`\n${key}\n\`\`\``,
+            flags: MessageFlags.Ephemeral
+         });
+         break;
+      }
+      case "api-key-revoke": {
+         const keyId = interaction.options.getString("id", true);
+         await interaction.reply({
+            content: store.revokeKey(keyId)
+               ? `Revoked key \`${keyId}\`.`
+               : `No active key with ID \`${keyId}\`.`,
+            flags: MessageFlags.Ephemeral
+         });
+         break;
+      }
+      case "api-key-list": {
+         const lines = [];
+         for (const record of store.keys.values()) {
+            const limits = `${record.perMinute ?? "∞"}/min, ${record.perDay ?? "∞"}/day`;
+            const models = record.allowedModels ? record.allowedModels.join(", ") : "all models";
+            lines.push(
+               `\`${record.id}\` ${record.name} (${record.prefix}…) - ${limits} - ${models}${record.revokedAt ? " - revoked" : ""}`
+            );
+         }
+         await interaction.reply({
+            content: trimString(lines.length > 0 ? lines.join("\n") : "No API keys."),
+            flags: MessageFlags.Ephemeral
+         });
+         break;
+      }
+      case "api-key-usage": {
+         const keyId = interaction.options.getString("id");
+         const days = interaction.options.getInteger("days") ?? 30;
+         const rows = store.usageReport(days, keyId);
+         if (rows.length === 0) {
+            await interaction.reply({
+               content: "No usage recorded for that period.",
+               flags: MessageFlags.Ephemeral
+            });
+            return;
+         }
+         const csv = [
+            "date,key_id,name,model,requests,input_tokens,output_tokens",
+            ...rows.map((r) =>
+               [r.date, r.keyId, r.name, r.model, r.requests, r.inputTokens, r.outputTokens]
+                  .map((v) => (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : v))
+                  .join(",")
+            )
+         ].join("\n");
+         const file = new AttachmentBuilder(Buffer.from(csv, "utf-8"), {
+            name: `api-usage-${days}d.csv`,
+            description: "API usage by key, model and day"
+         });
+         await interaction.reply({
+            content: `API usage for the last ${days} days${keyId ? ` for \`${keyId}\`` : ""}.`,
+            files: [file],
+            flags: MessageFlags.Ephemeral
+         });
+         break;
+      }
+   }
+}
+
 /**
  * Fast fuzzy search that scores matches based on:
  * - Consecutive character matches (higher score)
@@ -1145,13 +2539,13 @@ export async function autocomplete(interaction) {
    const subCommand = interaction.options.getSubcommand(true);
    const focused = interaction.options.getFocused(true);
 
-   if (focused.name !== "model") {
+   if (!["model", "model-a", "model-b"].includes(focused.name)) {
       await interaction.respond([]);
       return;
    }
 
    let realChoices = [];
-   if (subCommand === "text-gen") {
+   if (subCommand === "text-gen" || subCommand === "battle") {
       for (let [key, value] of lmArena.models.entries()) {
          if (value.capabilities.outputCapabilities.text) {
             realChoices.push(key);
@@ -1163,6 +2557,12 @@ export async function autocomplete(interaction) {
             realChoices.push(key);
          }
       }
+   } else if (subCommand === "video-gen") {
+      for (let [key, value] of lmArena.models.entries()) {
+         if (value.capabilities.outputCapabilities.video) {
+            realChoices.push(key);
+         }
+      }
    } else if (subCommand === "model-info") {
       realChoices = Array.from(lmArena.models.keys());
    }
@@ -12,6 +12,9 @@ import {
    Typing
 } from "discord.js";
 import { exec, execSync, spawn } from "node:child_process";
+import { startApiServer } from "./lib/api/server.mjs";
+import { getLMArena } from "./lib/LMArenaSingleton.mjs";
+import { getSessionStore } from "./lib/SessionStore.mjs";
 
 import "dotenv/config";
 
@@ -65,6 +68,28 @@ for (const folder of commandFolders) {
 }
 
 const threadListeners = {};
+
+// Listeners backed by an arena chat are persisted, everything but the model is kept as-is
+const THREAD_LISTENERS_COLLECTION = "threadListeners";
+
+function persistThreadListener(listener) {
+   const session = listener.model?.session;
+   if (!session) return;
+   const { model, ...rest } = listener;
+   getSessionStore().set(THREAD_LISTENERS_COLLECTION, listener.id, rest, session);
+}
+
+const storedListeners = getSessionStore().entries(THREAD_LISTENERS_COLLECTION);
+if (storedListeners.length > 0) {
+   const lmArena = await getLMArena();
+   for (const [id, record] of storedListeners) {
+      const model = lmArena.restoreChat(record.conversationId);
+      if (!model) continue;
+      threadListeners[id] = { ...record.value, model };
+   }
+   console.log(`Restored ${Object.keys(threadListeners).length} thread listener(s)`);
+}
+
 client.on("messageCreate", async (message) => {
    if (message.author.bot) return;
    if (threadListeners[message.channelId]) {
@@ -73,6 +98,7 @@ client.on("messageCreate", async (message) => {
       const inferred = await val.model.createCompletion(
          `[${message.author.username} (${message.author.id})] ${message.content}`
       );
+      persistThreadListener(val);
       message.reply(
          inferred.content.substring(0, Math.min(2000, inferred.content.length))
       );
@@ -84,15 +110,18 @@ function ParseCommandReturn(returned) {
       case "AddThreadResponderAI":
          console.log(`Created a thread listener for ID ${returned.data.id}`);
          threadListeners[returned.data.id] = returned.data;
+         persistThreadListener(returned.data);
          break;
       case "RemoveThreadResponderAI":
          delete threadListeners[returned.data.id];
+         getSessionStore().delete(THREAD_LISTENERS_COLLECTION, returned.data.id);
          break;
       case "RunThreadListenerMethod":
          console.log(returned.data.method);
          threadListeners[returned.data.id].model[returned.data.method](
             ...returned.data.args
          );
+         persistThreadListener(threadListeners[returned.data.id]);
       default:
          console.log(`Command method ${returned.method} does not exist.`);
          return;
@@ -100,8 +129,35 @@ function ParseCommandReturn(returned) {
 }
 
 client.on(Events.InteractionCreate, async (interaction) => {
+   if (interaction.isModalSubmit()) {
+      const cid = interaction.customId;
+      if (cid.startsWith("texgen-edit-")) {
+         const lmarena = interaction.client.commands.get("lmarena");
+         await lmarena.submitEditPrompt(interaction, cid.substring(12));
+      }
+      return;
+   }
+
    if (interaction.isButton()) {
       const cid = interaction.customId;
+      if (cid.startsWith("texgen-edit-")) {
+         const lmarena = interaction.client.commands.get("lmarena");
+         await lmarena.showEditPrompt(interaction, cid.substring(12));
+         return;
+      }
+      if (cid.startsWith("texgen-stop-")) {
+         const lmarena = interaction.client.commands.get("lmarena");
+         await lmarena.stopGeneration(interaction, cid.substring(12));
+         return;
+      }
+      if (cid.startsWith("battle-vote-")) {
+         // battle-vote-<battle ID>-<vote>
+         const rest = cid.substring(12);
+         const split = rest.indexOf("-");
+         const lmarena = interaction.client.commands.get("lmarena");
+         await lmarena.voteBattle(interaction, rest.substring(0, split), rest.substring(split + 1));
+         return;
+      }
       if (
          !(cid.startsWith("texgen-retry-") || cid.startsWith("imggen-retry-"))
       ) {
@@ -172,5 +228,10 @@ client.once(Events.ClientReady, async (readyClient) => {
    });
 });
 
+// OpenAI-compatible HTTP API, shares the browser session with the bot
+if (process.env.API_PORT) {
+   await startApiServer(Number(process.env.API_PORT));
+}
+
 // Log in to Discord with your client's token
 client.login(process.env.TOKEN);
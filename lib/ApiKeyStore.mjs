@@ -0,0 +1,230 @@
+// ApiKeyStore.mjs
+// API keys for the HTTP front-ends: hashed at rest, per-key model allowlists, quotas and usage for billing
+
+import { createHash, randomBytes } from "node:crypto";
+import { JsonFileStore, dataFile } from "./JsonFileStore.mjs";
+
+const STORE_PATH = dataFile("api-keys.json");
+
+// Usage is written at most this often, key changes are written immediately
+const USAGE_FLUSH_DELAY_MS = 1000;
+
+/**
+ * @typedef {Object} ModelUsage
+ * @property {number} requests
+ * @property {number} inputTokens
+ * @property {number} outputTokens
+ */
+
+/**
+ * @typedef {Object} DailyUsage
+ * @property {number} requests All authenticated requests, counted against the daily limit
+ * @property {Object<string, ModelUsage>} models Generation usage by model public name
+ */
+
+/**
+ * @typedef {Object} ApiKeyRecord
+ * @property {string} id Public identifier, safe to show and log
+ * @property {string} name Team or service the key belongs to
+ * @property {string} hash sha256 of the key
+ * @property {string} prefix First characters of the key, to help people identify it
+ * @property {Array<string> | null} allowedModels Model public names, null allows every model
+ * @property {number | null} perMinute Requests per minute, null for unlimited
+ * @property {number | null} perDay Requests per UTC day, null for unlimited
+ * @property {string} createdBy Discord user ID of the admin that created it
+ * @property {string} createdAt
+ * @property {string | null} revokedAt
+ * @property {Object<string, DailyUsage>} usage Keyed by UTC date (YYYY-MM-DD)
+ */
+
+const hashKey = (key) => createHash("sha256").update(key).digest("hex");
+const today = () => new Date().toISOString().slice(0, 10);
+
+export class ApiKeyStore extends JsonFileStore {
+   constructor(filePath = STORE_PATH) {
+      super(filePath, { flushDelayMs: USAGE_FLUSH_DELAY_MS, space: 2 });
+      /** @type {Map<string, ApiKeyRecord>} */
+      this.keys = new Map();
+      /** @type {Map<string, ApiKeyRecord>} */
+      this.byHash = new Map();
+      // Request timestamps per key ID for the per-minute window, intentionally not persisted
+      /** @type {Map<string, Array<number>>} */
+      this.recentRequests = new Map();
+      this.load();
+   }
+
+   load() {
+      const parsed = this.readFile();
+      for (const record of parsed?.keys ?? []) {
+         this.keys.set(record.id, record);
+         this.byHash.set(record.hash, record);
+      }
+   }
+
+   serialize() {
+      return { keys: Array.from(this.keys.values()) };
+   }
+
+   /**
+    * Create a key, the plaintext key is only ever returned here
+    * @param {Object} opts
+    * @param {string} opts.name
+    * @param {string} opts.createdBy
+    * @param {Array<string> | null} [opts.allowedModels=null]
+    * @param {number | null} [opts.perMinute=null]
+    * @param {number | null} [opts.perDay=null]
+    * @returns {{ key: string, record: ApiKeyRecord }}
+    */
+   createKey({ name, createdBy, allowedModels = null, perMinute = null, perDay = null }) {
+      const key = `lma-${randomBytes(32).toString("base64url")}`;
+      /** @type {ApiKeyRecord} */
+      const record = {
+         id: `key_${randomBytes(6).toString("hex")}`,
+         name,
+         hash: hashKey(key),
+         prefix: key.slice(0, 10),
+         allowedModels: allowedModels && allowedModels.length > 0 ? allowedModels : null,
+         perMinute,
+         perDay,
+         createdBy,
+         createdAt: new Date().toISOString(),
+         revokedAt: null,
+         usage: {}
+      };
+      this.keys.set(record.id, record);
+      this.byHash.set(record.hash, record);
+      this.save();
+      return { key, record };
+   }
+
+   /**
+    * @param {string} id
+    * @returns {boolean} false if the key doesn't exist or was already revoked
+    */
+   revokeKey(id) {
+      const record = this.keys.get(id);
+      if (!record || record.revokedAt) return false;
+      record.revokedAt = new Date().toISOString();
+      this.recentRequests.delete(id);
+      this.save();
+      return true;
+   }
+
+   /**
+    * @param {string | null | undefined} key Plaintext key from the request
+    * @returns {ApiKeyRecord | null} The active key record, or null if unknown or revoked
+    */
+   authenticate(key) {
+      if (!key) return null;
+      const record = this.byHash.get(hashKey(key));
+      if (!record || record.revokedAt) return null;
+      return record;
+   }
+
+   /**
+    * @param {ApiKeyRecord} record
+    * @param {string} modelName
+    */
+   isModelAllowed(record, modelName) {
+      return record.allowedModels === null || record.allowedModels.includes(modelName);
+   }
+
+   /**
+    * Count a request against the key's quotas
+    * @param {ApiKeyRecord} record
+    * @returns {{ allowed: true } | { allowed: false, reason: string, retryAfter: number }}
+    */
+   consume(record) {
+      const now = Date.now();
+      const windowStart = now - 60 * 1000;
+      const recent = (this.recentRequests.get(record.id) ?? []).filter(
+         (t) => t > windowStart
+      );
+      if (record.perMinute !== null && recent.length >= record.perMinute) {
+         this.recentRequests.set(record.id, recent);
+         return {
+            allowed: false,
+            reason: `Rate limit of ${record.perMinute} requests per minute exceeded.`,
+            retryAfter: Math.ceil((recent[0] + 60 * 1000 - now) / 1000)
+         };
+      }
+
+      const day = this.getDailyUsage(record, today());
+      if (record.perDay !== null && day.requests >= record.perDay) {
+         const midnight = new Date();
+         midnight.setUTCHours(24, 0, 0, 0);
+         return {
+            allowed: false,
+            reason: `Daily limit of ${record.perDay} requests exceeded.`,
+            retryAfter: Math.ceil((midnight.getTime() - now) / 1000)
+         };
+      }
+
+      recent.push(now);
+      this.recentRequests.set(record.id, recent);
+      day.requests++;
+      this.scheduleSave();
+      return { allowed: true };
+   }
+
+   /**
+    * Record a generation for billing
+    * @param {ApiKeyRecord} record
+    * @param {string} modelName
+    * @param {{ inputTokens?: number, outputTokens?: number }} [tokens]
+    */
+   recordUsage(record, modelName, { inputTokens = 0, outputTokens = 0 } = {}) {
+      const day = this.getDailyUsage(record, today());
+      day.models[modelName] ??= { requests: 0, inputTokens: 0, outputTokens: 0 };
+      const usage = day.models[modelName];
+      usage.requests++;
+      usage.inputTokens += inputTokens;
+      usage.outputTokens += outputTokens;
+      this.scheduleSave();
+   }
+
+   /**
+    * @param {ApiKeyRecord} record
+    * @param {string} date
+    * @returns {DailyUsage}
+    */
+   getDailyUsage(record, date) {
+      record.usage[date] ??= { requests: 0, models: {} };
+      return record.usage[date];
+   }
+
+   /**
+    * Flatten usage into billing rows, newest first
+    * @param {number} [days=30] How many days back to include
+    * @param {string | null} [id=null] Restrict to a single key
+    * @returns {Array<{ date: string, keyId: string, name: string, model: string } & ModelUsage>}
+    */
+   usageReport(days = 30, id = null) {
+      const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000)
+         .toISOString()
+         .slice(0, 10);
+      const rows = [];
+      for (const record of this.keys.values()) {
+         if (id && record.id !== id) continue;
+         for (const [date, day] of Object.entries(record.usage)) {
+            if (date < since) continue;
+            for (const [model, usage] of Object.entries(day.models)) {
+               rows.push({ date, keyId: record.id, name: record.name, model, ...usage });
+            }
+         }
+      }
+      return rows.sort((a, b) => b.date.localeCompare(a.date));
+   }
+}
+
+let apiKeyStoreInstance = null;
+
+/**
+ * @returns {ApiKeyStore}
+ */
+export function getApiKeyStore() {
+   if (!apiKeyStoreInstance) {
+      apiKeyStoreInstance = new ApiKeyStore();
+   }
+   return apiKeyStoreInstance;
+}
@@ -0,0 +1,235 @@
+// ArenaErrors.mjs
+// Everything that can go wrong talking to the arena. Streams report a failure as an `x` event carrying
+// `ArenaErrorData` followed by `ad` with "err", promise-based callers get the matching `ArenaError` thrown.
+
+// Response bodies are cut at this length, Cloudflare challenge pages run to hundreds of KB
+const MAX_BODY_CHARS = 4000;
+
+/**
+ * @typedef {"moderation" | "rate_limit" | "auth_expired" | "provider" | "network" | "parse" | "unknown"} ArenaErrorKind
+ */
+
+/**
+ * @typedef {Object} ArenaErrorData Payload of an `x` event
+ * @property {ArenaErrorKind} kind
+ * @property {string} message Meant to be shown to the user
+ * @property {number | null} status HTTP status of the arena's response, null for errors that came mid-stream
+ * or without a response
+ * @property {string | null} body The arena's response body, or the offending stream line
+ * @property {boolean} retryable Whether sending the same message again may work
+ * @property {Object<string, any>} details Kind specific, see the error classes
+ */
+
+/**
+ * @typedef {Object} ArenaErrorOptions
+ * @property {number | null} [status]
+ * @property {string | null} [body] Cut at `MAX_BODY_CHARS`
+ * @property {boolean} [retryable] Defaults to the class's
+ * @property {Object<string, any>} [details]
+ * @property {unknown} [cause]
+ */
+
+export class ArenaError extends Error {
+   /** @type {ArenaErrorKind} */
+   static kind = "unknown";
+   static retryable = false;
+
+   /**
+    * @param {string} message
+    * @param {ArenaErrorOptions} [opts]
+    */
+   constructor(message, { status = null, body = null, retryable, details = {}, cause } = {}) {
+      super(message, cause === undefined ? undefined : { cause });
+      this.name = this.constructor.name;
+      this.status = status;
+      this.body = body && body.length > MAX_BODY_CHARS ? body.slice(0, MAX_BODY_CHARS) : body;
+      this.retryable = retryable ?? /** @type {typeof ArenaError} */ (this.constructor).retryable;
+      this.details = details;
+   }
+
+   /** @returns {ArenaErrorKind} */
+   get kind() {
+      return /** @type {typeof ArenaError} */ (this.constructor).kind;
+   }
+
+   /** @returns {ArenaErrorData} */
+   toJSON() {
+      return {
+         kind: this.kind,
+         message: this.message,
+         status: this.status,
+         body: this.body,
+         retryable: this.retryable,
+         details: this.details
+      };
+   }
+}
+
+/**
+ * The prompt or the reply was blocked by the arena's moderation
+ */
+export class ModerationError extends ArenaError {
+   static kind = "moderation";
+}
+
+/**
+ * Too many requests. `details` has the `modality` that ran out and `retryAfterMs` if the arena said,
+ * and `authRefreshed` when a new session was fetched so retrying right away should work.
+ */
+export class RateLimitError extends ArenaError {
+   static kind = "rate_limit";
+   static retryable = true;
+}
+
+/**
+ * The arena session or Cloudflare clearance is no longer accepted
+ */
+export class AuthExpiredError extends ArenaError {
+   static kind = "auth_expired";
+   static retryable = true;
+}
+
+/**
+ * The model's provider failed, or the arena itself answered with a server error
+ */
+export class UpstreamProviderError extends ArenaError {
+   static kind = "provider";
+}
+
+/**
+ * The request or the stream broke off, including streams that ran into their timeouts. `details.timeout` has
+ * the kind of timeout and `details.limitMs` its length in that case.
+ */
+export class NetworkError extends ArenaError {
+   static kind = "network";
+   static retryable = true;
+}
+
+/**
+ * The arena answered with something that couldn't be read
+ */
+export class ParseError extends ArenaError {
+   static kind = "parse";
+}
+
+export class UnknownArenaError extends ArenaError {
+   static kind = "unknown";
+}
+
+/** @type {Record<ArenaErrorKind, typeof ArenaError>} */
+const ERROR_CLASSES = {
+   moderation: ModerationError,
+   rate_limit: RateLimitError,
+   auth_expired: AuthExpiredError,
+   provider: UpstreamProviderError,
+   network: NetworkError,
+   parse: ParseError,
+   unknown: UnknownArenaError
+};
+
+/**
+ * The `error` message of a JSON error body, if it has one
+ * @param {string} body
+ * @returns {string | null}
+ */
+function jsonErrorMessage(body) {
+   try {
+      const parsed = JSON.parse(body);
+      const error = parsed?.error ?? parsed?.message;
+      if (typeof error === "string") return error;
+      if (typeof error?.message === "string") return error.message;
+   } catch {}
+   return null;
+}
+
+/**
+ * Classify a non-OK arena response
+ * @param {number} status
+ * @param {Headers} headers
+ * @param {string} body
+ * @returns {ArenaError}
+ */
+export function classifyResponseError(status, headers, body) {
+   const opts = { status, body };
+   const serverMessage = jsonErrorMessage(body);
+   if (status === 422) {
+      return new ModerationError(serverMessage ?? "The prompt violates the LMArena terms of use.", opts);
+   }
+   if (status === 429) {
+      const modality = headers.get("ratelimit-modality");
+      const retryAfter = Number(headers.get("retry-after"));
+      return new RateLimitError(
+         serverMessage ?? `Rate limit reached${modality ? ` for ${modality} generation` : ""}.`,
+         {
+            ...opts,
+            details: {
+               modality,
+               retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : null,
+               authRefreshed: false
+            }
+         }
+      );
+   }
+   if (status === 401 || status === 403) {
+      return new AuthExpiredError(serverMessage ?? "The arena session expired or was rejected.", opts);
+   }
+   if (status >= 500) {
+      // Unlike a provider error in the middle of a stream, a server error usually passes
+      return new UpstreamProviderError(serverMessage ?? `The arena failed with status ${status}.`, {
+         ...opts,
+         retryable: true
+      });
+   }
+   return new UnknownArenaError(serverMessage ?? `Unexpected response from the arena. Status: ${status}`, opts);
+}
+
+/**
+ * `classifyResponseError` for a fetch response, consumes its body
+ * @param {Response} response
+ * @returns {Promise<ArenaError>}
+ */
+export async function arenaErrorFromResponse(response) {
+   const body = await response.text().catch(() => "");
+   return classifyResponseError(response.status, response.headers, body);
+}
+
+/**
+ * A failed request or read, errors that are already classified pass through
+ * @param {any} err
+ * @returns {ArenaError}
+ */
+export function asNetworkError(err) {
+   if (err instanceof ArenaError) return err;
+   return new NetworkError(`Connection to the arena failed: ${err?.message ?? err}`, { cause: err });
+}
+
+/**
+ * @param {ArenaError} err
+ * @param {string} [participant="c"] "a" or "b" for an error of one side of a battle, "c" for the whole turn
+ * @returns {{ event: string, data: ArenaErrorData }}
+ */
+export function errorEvent(err, participant = "c") {
+   return { event: `${participant}x`, data: err.toJSON() };
+}
+
+/**
+ * @param {{ event: string }} chunk
+ */
+export function isErrorEvent(chunk) {
+   return chunk.event[1] === "x";
+}
+
+/**
+ * Turn an `x` event back into the error it was made from, so it can be thrown
+ * @param {ArenaErrorData} data
+ * @returns {ArenaError}
+ */
+export function arenaErrorFromData(data) {
+   const ErrorClass = ERROR_CLASSES[data.kind] ?? UnknownArenaError;
+   return new ErrorClass(data.message, {
+      status: data.status,
+      body: data.body,
+      retryable: data.retryable,
+      details: data.details
+   });
+}
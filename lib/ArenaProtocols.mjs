@@ -0,0 +1,332 @@
+// ArenaProtocols.mjs
+// How a turn is sent to the arena's stream endpoints. LMArena has changed what those expect more than once, each
+// version is an adapter here and all of them share one stream parser. The one the site currently uses is picked
+// from its scripts at startup, see `LMArena.detectProtocol`, so the next backend change is one more adapter.
+
+import { applyToolEvent } from "./ToolCalls.mjs";
+import {
+   ModerationError,
+   ParseError,
+   UpstreamProviderError,
+   asNetworkError,
+   errorEvent
+} from "./ArenaErrors.mjs";
+
+const STREAM_API = "https://lmarena.ai/nextjs-api/stream";
+
+/**
+ * @typedef {Object} ArenaRequest
+ * @property {string} url
+ * @property {"POST" | "PUT"} method
+ * @property {Object<string, string>} headers
+ * @property {string} body
+ */
+
+/**
+ * @typedef {Object} ArenaProtocol
+ * @property {string} name Also what `LMARENA_PROTOCOL` takes to force it
+ * @property {(scripts: string) => boolean} detect Whether the site's scripts, all chunks joined, use this protocol
+ * @property {(session: Types.ChatSession, retry: boolean) => ArenaRequest} buildRequest Request for the current
+ * turn of `session`, or for regenerating its latest reply
+ */
+
+/**
+ * Endpoint every protocol so far streams from: a new evaluation, the next turn of one, or its latest reply again
+ * @param {Types.ChatSession} session
+ * @param {boolean} retry
+ * @returns {{ url: string, method: "POST" | "PUT" }}
+ */
+function streamEndpoint(session, retry) {
+   if (retry) {
+      return {
+         url: `${STREAM_API}/retry-evaluation-session-message/${session.sessionId}/messages/${session.lmSession.modelAMessageId}`,
+         // yes the api is this pedantic
+         method: "PUT"
+      };
+   }
+   return {
+      url: session.doesSessionExist
+         ? `${STREAM_API}/post-to-evaluation/${session.sessionId}`
+         : `${STREAM_API}/create-evaluation`,
+      method: "POST"
+   };
+}
+
+/**
+ * The first stream API, every turn posts the whole `lmSession` including the history
+ * @type {ArenaProtocol}
+ */
+export const fullSessionProtocol = {
+   name: "full-session",
+   detect: (scripts) => scripts.includes("create-evaluation"),
+   buildRequest(session, retry) {
+      return {
+         ...streamEndpoint(session, retry),
+         headers: {
+            Referer: `https://lmarena.ai/c/${session.sessionId}`
+         },
+         body: JSON.stringify(session.lmSession)
+      };
+   }
+};
+
+/**
+ * The arena keeps the history, a turn only posts the new user message and which models answer it
+ * @type {ArenaProtocol}
+ */
+export const userMessageProtocol = {
+   name: "user-message",
+   // The full-session payload has `userMessageId` too, only this one has `userMessage` itself
+   detect: (scripts) => scripts.includes("create-evaluation") && /\buserMessage\b/.test(scripts),
+   buildRequest(session, retry) {
+      const { lmSession } = session;
+      const currentUserMsg = lmSession.messages.find((m) => m?.id === lmSession.userMessageId);
+      const payload = {
+         id: session.sessionId,
+         mode: lmSession.mode || "direct",
+         modelAId: lmSession.modelAId,
+         userMessageId: lmSession.userMessageId,
+         modelAMessageId: lmSession.modelAMessageId,
+         // Only battles have a second participant
+         ...(lmSession.modelBId
+            ? {
+                 modelBId: lmSession.modelBId,
+                 modelBMessageId: lmSession.modelBMessageId
+              }
+            : {}),
+         userMessage: {
+            content: currentUserMsg ? currentUserMsg.content : "",
+            experimental_attachments: currentUserMsg ? (currentUserMsg.experimental_attachments || []) : []
+         },
+         modality: lmSession.modality || "chat",
+         featureFlags: {
+            editImageButtonEnabled: "control"
+         }
+      };
+      return {
+         ...streamEndpoint(session, retry),
+         headers: {
+            "Referer": `https://lmarena.ai/c/${session.sessionId}`,
+            "Content-Type": "application/json"
+         },
+         body: JSON.stringify(payload)
+      };
+   }
+};
+
+// Newest first, detection takes the first match and the first one is used until then. When the arena rejects a
+// request the next one is tried, see `SessionManager.fallBackProtocol`
+export const ARENA_PROTOCOLS = [userMessageProtocol, fullSessionProtocol];
+
+/**
+ * @param {string} name
+ * @returns {ArenaProtocol | null}
+ */
+export function getProtocol(name) {
+   return ARENA_PROTOCOLS.find((protocol) => protocol.name === name) ?? null;
+}
+
+/**
+ * Find the protocol the site's scripts use
+ * @param {Array<string>} scripts Source of each of the site's script chunks
+ * @returns {ArenaProtocol | null} null if none of them match, the site probably changed again
+ */
+export function detectProtocol(scripts) {
+   const source = scripts.join("\n");
+   return ARENA_PROTOCOLS.find((protocol) => protocol.detect(source)) ?? null;
+}
+
+/**
+ * Reads an arena stream: `<participant><code>:<json>` lines, applied to the assistant messages of the turn as they
+ * come in. Arena errors become `x` events, see `ArenaErrors.mjs`.
+ */
+export class ArenaStreamParser {
+   /**
+    * @param {Object<string, any>} assistantMessages By participant, "a" and "b" in a battle
+    */
+   constructor(assistantMessages) {
+      this.assistantMessages = assistantMessages;
+      // A stream without a single readable line is reported as a parse error
+      this.parsedLines = 0;
+      this.badLine = null;
+   }
+
+   /**
+    * @param {string} line
+    * @returns {{ event: string, data: any } | null} null for lines that can't be read
+    */
+   parseLine(line) {
+      if (line.length < 4) return null; // A valid line like a0:"" is at least 4 chars
+
+      const eventCode = line.substring(0, 2);
+      const firstColonIndex = line.indexOf(":");
+      if (firstColonIndex === -1) return null; // Malformed line
+
+      const payloadString = line.substring(firstColonIndex + 1);
+
+      let data;
+      try {
+         data = JSON.parse(payloadString);
+      } catch (e) {
+         console.error(`Failed to parse payload for event [${eventCode}]:`, payloadString);
+         this.badLine ??= line;
+         return null;
+      }
+      this.parsedLines++;
+      if (eventCode === "c0") {
+         // The arena's moderation blocked the turn
+         return errorEvent(
+            new ModerationError(typeof data === "string" && data ? data : "The reply was blocked by moderation.", {
+               body: payloadString
+            })
+         );
+      }
+      const assistantMessageForTurn = this.assistantMessages[eventCode[0]];
+      // Other participant-independent events
+      if (!assistantMessageForTurn) return { event: eventCode, data };
+      const code = eventCode[1];
+      if (code === "3") {
+         const message = typeof data === "string" ? data : data?.message ?? JSON.stringify(data);
+         return errorEvent(new UpstreamProviderError(message, { body: payloadString }), eventCode[0]);
+      }
+      this.apply(assistantMessageForTurn, code, data);
+      return { event: eventCode, data };
+   }
+
+   /**
+    * Add an event's content to the participant's message
+    * @param {any} message
+    * @param {string} code Event code without the participant
+    * @param {any} data
+    */
+   apply(message, code, data) {
+      if (code === "0" && typeof data === "string") {
+         message.content += data;
+      } else if (code === "2") {
+         for (const item of data) {
+            if (item.type === "image") {
+               // image is the R2 URL
+               message.experimental_attachments.push({
+                  contentType: item.mimeType,
+                  name: item.name || "image",
+                  url: item.image
+               });
+            } else if (item.type === "video" && (item.video || item.url)) {
+               message.experimental_attachments.push({
+                  contentType: item.mimeType || "video/mp4",
+                  name: item.name || "video",
+                  url: item.video ?? item.url
+               });
+            } else if (item.type === "video") {
+               // No URL yet, the video is still rendering
+               message.videoJob = {
+                  id: item.id ?? null,
+                  status: item.status ?? "pending",
+                  progress: item.progress ?? null
+               };
+            }
+         }
+      } else if (code === "g" && typeof data === "string") {
+         reasoning(message).text += data;
+      } else if (code === "i") {
+         reasoning(message).redacted.push(typeof data === "string" ? data : data?.data);
+      } else if (code === "j") {
+         reasoning(message).signature = typeof data === "string" ? data : data?.signature;
+      } else if (code === "h") {
+         addSource(message, data);
+      } else if (["9", "a", "b", "c"].includes(code)) {
+         message.toolCalls ??= [];
+         applyToolEvent(message.toolCalls, code, data);
+      } else if (code === "d") {
+         message.status = "success";
+      }
+   }
+
+   /**
+    * Stream the events of a response. A broken connection ends the stream with a `NetworkError` unless `signal`
+    * was aborted, the generator then throws the signal's reason.
+    * @param {Response} response
+    * @param {Object} [opts]
+    * @param {AbortSignal} [opts.signal]
+    * @param {() => void} [opts.onChunk] Called for every chunk read
+    */
+   async *read(response, { signal, onChunk = () => {} } = {}) {
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = "";
+      let streamDone = false;
+      try {
+         while (true) {
+            const { done, value } = await reader.read();
+            onChunk();
+            if (done) {
+               streamDone = true;
+               // The last line may not end in a newline
+               if (buffer) {
+                  const result = this.parseLine(buffer.trim());
+                  if (result) yield result;
+               }
+               break;
+            }
+
+            buffer += decoder.decode(value, { stream: true });
+
+            let boundary = buffer.indexOf("\n");
+            while (boundary !== -1) {
+               const line = buffer.substring(0, boundary).trim();
+               buffer = buffer.substring(boundary + 1);
+
+               if (line) {
+                  const result = this.parseLine(line);
+                  if (result) yield result;
+               }
+
+               boundary = buffer.indexOf("\n");
+            }
+         }
+      } catch (err) {
+         streamDone = true;
+         if (signal?.aborted) throw err;
+         yield errorEvent(asNetworkError(err));
+         yield { event: "ad", data: "err" };
+         return;
+      } finally {
+         // The consumer stopped early, cancelling the reader stops the fetch in the browser too
+         if (!streamDone) await reader.cancel().catch(() => {});
+         reader.releaseLock();
+      }
+
+      if (this.parsedLines === 0) {
+         yield errorEvent(
+            new ParseError(this.badLine ? "The arena's response couldn't be read." : "The arena sent an empty response.", {
+               status: response.status,
+               body: this.badLine ?? ""
+            })
+         );
+         yield { event: "ad", data: "err" };
+      }
+   }
+}
+
+/**
+ * Reasoning is kept apart from the answer text
+ * @param {any} message
+ */
+const reasoning = (message) => (message.reasoning ??= { text: "", redacted: [], signature: null });
+
+/**
+ * Search/grounding models cite the same page more than once
+ * @param {any} message
+ * @param {any} data
+ */
+function addSource(message, data) {
+   message.sources ??= [];
+   const url = data?.url;
+   if (!url || message.sources.some((src) => src.url === url)) return;
+   message.sources.push({
+      id: data.id ?? null,
+      sourceType: data.sourceType ?? "url",
+      url,
+      title: data.title ?? null
+   });
+}
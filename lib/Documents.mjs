@@ -0,0 +1,210 @@
+// Documents.mjs
+// User files as model input: images are sent as attachments, text files and PDFs are read locally and inlined into the prompt
+
+import path from "node:path";
+import { extractText, getDocumentProxy } from "unpdf";
+
+// Larger files are rejected before they're read
+export const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024;
+// Inlined text is cut at these lengths so one file can't crowd out the rest of the prompt
+export const MAX_DOCUMENT_CHARS = 100_000;
+export const MAX_TOTAL_DOCUMENT_CHARS = 200_000;
+
+/**
+ * @typedef {import('types/lmarena').Attachment} Attachment
+ * @typedef {"image" | "text" | "pdf"} DocumentKind
+ */
+
+/**
+ * @typedef {Object} InputFile
+ * @property {string} name File name as uploaded
+ * @property {string | null} mime Content type reported by the uploader, if any
+ * @property {Buffer} content
+ */
+
+/**
+ * @typedef {Object} DocumentSummary
+ * @property {string} name
+ * @property {DocumentKind} kind
+ * @property {number} chars Characters inlined, 0 for images
+ * @property {boolean} truncated
+ */
+
+/**
+ * @typedef {Object} PromptInput
+ * @property {string} content Prompt with the documents inlined before it
+ * @property {string} documentText Just the inlined documents, empty if there are none, see `inlineDocuments`
+ * @property {Array<Attachment>} attachments Images
+ * @property {Array<DocumentSummary>} documents Every file, in the order given
+ */
+
+const TEXT_EXTENSIONS = new Set([
+   ".txt", ".md", ".markdown", ".rst", ".csv", ".tsv", ".json", ".jsonl", ".yaml", ".yml", ".toml", ".ini",
+   ".xml", ".html", ".css", ".scss", ".js", ".mjs", ".cjs", ".jsx", ".ts", ".tsx", ".py", ".rb", ".go", ".rs",
+   ".java", ".kt", ".swift", ".c", ".h", ".cpp", ".hpp", ".cc", ".cs", ".php", ".lua", ".sh", ".bash", ".ps1",
+   ".sql", ".r", ".dart", ".vue", ".svelte", ".log", ".diff", ".patch", ".env", ".tex"
+]);
+const TEXT_MIME = /^(text\/|application\/(json|x-ndjson|xml|javascript|x-yaml|yaml|toml|x-sh|sql))/;
+
+/**
+ * Thrown for files that can't be used as input, the message is meant to be shown to the user
+ */
+export class DocumentError extends Error {
+   /**
+    * @param {string} message
+    * @param {string} [fileName]
+    */
+   constructor(message, fileName) {
+      super(message);
+      this.name = "DocumentError";
+      this.fileName = fileName;
+   }
+}
+
+/**
+ * @param {string} name
+ * @param {string | null} mime
+ * @returns {DocumentKind | null} null for unsupported files
+ */
+export function classifyFile(name, mime) {
+   const baseMime = mime?.split(";")[0].trim().toLowerCase() ?? "";
+   const ext = path.extname(name).toLowerCase();
+   if (baseMime.startsWith("image/")) return "image";
+   if (baseMime === "application/pdf" || ext === ".pdf") return "pdf";
+   if (TEXT_MIME.test(baseMime) || TEXT_EXTENSIONS.has(ext)) return "text";
+   return null;
+}
+
+/**
+ * Check a file's type and size, also before it's downloaded with the size its uploader reports
+ * @param {string} name
+ * @param {string | null} mime
+ * @param {number} size In bytes
+ * @returns {DocumentKind}
+ * @throws {DocumentError}
+ */
+export function checkFile(name, mime, size) {
+   const kind = classifyFile(name, mime);
+   if (!kind) {
+      throw new DocumentError(
+         `${name} isn't a supported file type, send images, PDFs or text files (code, .txt, .md, .csv, .json, ...).`,
+         name
+      );
+   }
+   if (kind !== "image" && size > MAX_DOCUMENT_BYTES) {
+      throw new DocumentError(
+         `${name} is too large, documents can be at most ${MAX_DOCUMENT_BYTES / 1024 / 1024} MB.`,
+         name
+      );
+   }
+   return kind;
+}
+
+/**
+ * Make sure the model accepts every kind of file given, documents are inlined so they only need text input
+ * @param {Array<{ name: string, kind: DocumentKind }>} files
+ * @param {{ text?: any, image?: any }} inputCapabilities
+ * @throws {DocumentError}
+ */
+export function checkInputCapabilities(files, inputCapabilities) {
+   for (const { name, kind } of files) {
+      if (kind === "image" && !inputCapabilities.image) {
+         throw new DocumentError(`This model does not support image inputs (${name}).`, name);
+      }
+      if (kind !== "image" && !inputCapabilities.text) {
+         throw new DocumentError(`This model does not support text inputs, so ${name} can't be read to it.`, name);
+      }
+   }
+}
+
+/**
+ * @param {Buffer} content
+ */
+async function readPdfText(content) {
+   const pdf = await getDocumentProxy(new Uint8Array(content));
+   const { text } = await extractText(pdf, { mergePages: true });
+   return text.trim();
+}
+
+/**
+ * Read a document's text, binary files passed off as text are rejected
+ * @param {InputFile} file
+ * @param {"text" | "pdf"} kind
+ * @returns {Promise<string>}
+ */
+async function readDocumentText(file, kind) {
+   if (kind === "pdf") {
+      let text;
+      try {
+         text = await readPdfText(file.content);
+      } catch (err) {
+         throw new DocumentError(`Failed to read ${file.name}: ${err.message}`, file.name);
+      }
+      if (!text) {
+         throw new DocumentError(`${file.name} has no extractable text, scanned PDFs aren't supported.`, file.name);
+      }
+      return text;
+   }
+   if (file.content.includes(0)) {
+      throw new DocumentError(`${file.name} doesn't look like a text file.`, file.name);
+   }
+   return file.content.toString("utf-8");
+}
+
+/**
+ * Put already read documents in front of a prompt, used again when the prompt is edited
+ * @param {string} prompt
+ * @param {string} documentText
+ */
+export function inlineDocuments(prompt, documentText) {
+   return documentText ? `${documentText}\n\n${prompt}` : prompt;
+}
+
+/**
+ * Turn a prompt and the files sent with it into a user message. Documents are inlined in the order given,
+ * each under a header with its file name, and cut at the per-file and total limits.
+ * @param {string} prompt
+ * @param {Array<InputFile>} files
+ * @param {{ text?: any, image?: any }} inputCapabilities Of the model the message is for
+ * @returns {Promise<PromptInput>}
+ * @throws {DocumentError}
+ */
+export async function buildPromptInput(prompt, files, inputCapabilities) {
+   const classified = files.map((file) => ({
+      file,
+      name: file.name,
+      kind: checkFile(file.name, file.mime, file.content.length)
+   }));
+   checkInputCapabilities(classified, inputCapabilities);
+
+   /** @type {Array<Attachment>} */
+   const attachments = [];
+   /** @type {Array<DocumentSummary>} */
+   const documents = [];
+   const sections = [];
+   let remaining = MAX_TOTAL_DOCUMENT_CHARS;
+   for (const { file, kind } of classified) {
+      if (kind === "image") {
+         attachments.push({ mime: file.mime, content: file.content, r2Key: null, r2BucketUrl: null });
+         documents.push({ name: file.name, kind, chars: 0, truncated: false });
+         continue;
+      }
+      const text = await readDocumentText(file, kind);
+      const limit = Math.min(MAX_DOCUMENT_CHARS, remaining);
+      const truncated = text.length > limit;
+      const inlined = truncated ? text.slice(0, limit) : text;
+      remaining -= inlined.length;
+      sections.push(
+         `--- ${file.name} ---\n${inlined}${truncated ? `\n[truncated, ${text.length - inlined.length} more characters not shown]` : ""}\n--- end of ${file.name} ---`
+      );
+      documents.push({ name: file.name, kind, chars: inlined.length, truncated });
+   }
+
+   const documentText = sections.join("\n\n");
+   return {
+      content: inlineDocuments(prompt, documentText),
+      documentText,
+      attachments,
+      documents
+   };
+}
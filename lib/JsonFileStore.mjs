@@ -0,0 +1,91 @@
+// JsonFileStore.mjs
+// Base for the stores kept as one JSON file under lib/data: reading, debounced and atomic writes
+
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import path from "node:path";
+
+const DATA_DIR = path.resolve(import.meta.dirname, "data");
+
+/**
+ * Default location of a store's file
+ * @param {string} name
+ */
+export const dataFile = (name) => path.join(DATA_DIR, name);
+
+// Stores with a save scheduled, written right away when the process is stopped
+/** @type {Set<JsonFileStore>} */
+const pendingStores = new Set();
+let exitHandlersInstalled = false;
+
+function installExitHandlers() {
+   if (exitHandlersInstalled) return;
+   exitHandlersInstalled = true;
+   for (const signal of ["SIGINT", "SIGTERM"]) {
+      process.once(signal, () => {
+         for (const store of pendingStores) {
+            try {
+               store.save();
+            } catch (e) {
+               console.error(`Failed to save ${store.filePath} on ${signal}:`, e);
+            }
+         }
+         // The handler is gone now, so this exits the way the signal normally would
+         process.kill(process.pid, signal);
+      });
+   }
+}
+
+export class JsonFileStore {
+   /**
+    * @param {string} filePath
+    * @param {Object} [opts]
+    * @param {number} [opts.flushDelayMs=1000] How long `scheduleSave` batches changes
+    * @param {number} [opts.space] Indentation of the file, compact by default
+    */
+   constructor(filePath, { flushDelayMs = 1000, space } = {}) {
+      this.filePath = filePath;
+      this.flushDelayMs = flushDelayMs;
+      this.space = space;
+      this.flushTimer = null;
+   }
+
+   /**
+    * @returns {any | null} The stored JSON, null before the first save
+    */
+   readFile() {
+      if (!existsSync(this.filePath)) return null;
+      return JSON.parse(readFileSync(this.filePath, "utf-8"));
+   }
+
+   /**
+    * What's written to the file
+    * @returns {any}
+    */
+   serialize() {
+      throw new Error(`${this.constructor.name} does not implement serialize()`);
+   }
+
+   save() {
+      if (this.flushTimer) {
+         clearTimeout(this.flushTimer);
+         this.flushTimer = null;
+      }
+      pendingStores.delete(this);
+      const json = JSON.stringify(this.serialize(), null, this.space);
+      mkdirSync(path.dirname(this.filePath), { recursive: true });
+      // Write then rename so a crash can't leave a half-written store
+      const tmpPath = `${this.filePath}.tmp`;
+      writeFileSync(tmpPath, json);
+      renameSync(tmpPath, this.filePath);
+   }
+
+   /**
+    * Save within `flushDelayMs`, or before the process exits on SIGINT/SIGTERM
+    */
+   scheduleSave() {
+      if (this.flushTimer) return;
+      installExitHandlers();
+      pendingStores.add(this);
+      this.flushTimer = setTimeout(() => this.save(), this.flushDelayMs);
+   }
+}
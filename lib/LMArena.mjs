@@ -6,6 +6,36 @@ import { parseAndDereference } from "./util.mjs";
 import { SessionManager } from "./SessionManager.mjs";
 import { writeFileSync } from "node:fs";
 import { Logger } from "./OPLogger.mjs";
+import {
+   buildToolPrompt,
+   emulateToolCalls,
+   formatToolResult
+} from "./ToolCalls.mjs";
+import { NetworkError, arenaErrorFromData, isErrorEvent } from "./ArenaErrors.mjs";
+import {
+   StructuredOutputError,
+   buildRepairPrompt,
+   buildSchemaPrompt,
+   compileSchema,
+   extractJson,
+   readReplyText,
+   validateSchema
+} from "./StructuredOutput.mjs";
+import { getSessionStore } from "./SessionStore.mjs";
+import { ARENA_PROTOCOLS, detectProtocol, getProtocol } from "./ArenaProtocols.mjs";
+
+/**
+ * @typedef {import("./ToolCalls.mjs").ToolCall} ToolCall
+ * @typedef {import("./ToolCalls.mjs").ToolOptions} ToolOptions
+ * @typedef {import("./SessionManager.mjs").StreamTimeouts} StreamTimeouts
+ * @typedef {import("./SessionManager.mjs").RetryPolicy} RetryPolicy
+ * @typedef {ToolOptions & { signal?: AbortSignal, timeouts?: StreamTimeouts, retryPolicy?: RetryPolicy }} SendOptions
+ * `signal` stops the turn, the stream then throws its reason. `timeouts` and `retryPolicy` override the defaults,
+ * see `SessionManager.runInference`
+ * @typedef {import("./StructuredOutput.mjs").StructuredResult} StructuredResult
+ * @typedef {import("./StructuredOutput.mjs").StructuredAttempt} StructuredAttempt
+ * @typedef {import("./ArenaProtocols.mjs").ArenaProtocol} ArenaProtocol
+ */
 
 // ... (helper functions and Chat class remain the same) ...
 function serializeToCookie(obj) {
@@ -85,21 +115,304 @@ export const LM_EVENT_NAMES = new Map(
       h: "source",
       i: "redacted_reasoning",
       j: "reasoning_signature",
-      k: "file"
+      k: "file",
+      // Not sent by the arena, see `SessionManager.runInference`
+      r: "retry",
+      t: "stream_timeout",
+      x: "arena_error"
    })
 );
 
+// Events carrying the model's reasoning rather than its answer
+export const LM_REASONING_EVENTS = new Set(["ag", "ai", "aj"]);
+
+/**
+ * @typedef {Object} Reasoning
+ * @property {string} text Reasoning streamed through `g` events
+ * @property {Array<string>} redacted Opaque blocks the provider redacted (`i` events)
+ * @property {string | null} signature Provider signature over the reasoning (`j` event)
+ */
+
+/**
+ * @typedef {Object} Source
+ * @property {string | null} id Provider's source ID
+ * @property {string} sourceType
+ * @property {string} url
+ * @property {string | null} title
+ */
+
 export class Chat {
    constructor(sessionManager, session) {
       this.sessionManager = sessionManager;
       this.session = session;
    }
 
-   async *sendMessage(message, retry = false) {
-      await this.sessionManager.sendMessage(this.session, message);
-      //yield* this.sessionManager.runInference(this.session, null, retry);
-      // updated
-      yield* this.sessionManager.runInferenceV2(this.session, null, retry);
+   /**
+    * Send a message and stream the raw arena events of the reply
+    * @param {Omit<import('types/lmarena').ChatMessage, "id">} message
+    * @param {boolean} [retry=false]
+    * @param {SendOptions} [options={}] Tool calls come through as `a9` events either way
+    * Reasoning is streamed on its own events (see `LM_REASONING_EVENTS`) and collected separately from the answer
+    */
+   async *sendMessage(message, retry = false, options = {}) {
+      // A retry regenerates the reply that's already there, the message was sent the first time round
+      if (!retry) {
+         await this.sessionManager.sendMessage(
+            this.session,
+            this.withToolPrompt(message, options)
+         );
+      }
+      yield* this.streamReply(
+         this.session.lmSession.modality === "video"
+            ? this.sessionManager.runVideoInference(this.session, retry, options)
+            : this.sessionManager.runInference(this.session, null, retry, options),
+         options
+      );
+   }
+
+   /**
+    * Edit an earlier user message and stream the reply to it, the edit becomes a new branch next to the original
+    * @param {string} messageId
+    * @param {Omit<import('types/lmarena').ChatMessage, "id">} message
+    * @param {SendOptions} [options={}]
+    */
+   async *editMessage(messageId, message, options = {}) {
+      await this.sessionManager.editMessage(
+         this.session,
+         messageId,
+         this.withToolPrompt(message, options)
+      );
+      yield* this.streamReply(
+         this.sessionManager.runInference(this.session, null, false, options),
+         options
+      );
+   }
+
+   /**
+    * Continue from another branch, the newest reply below `messageId` becomes the head
+    * @param {string} messageId Usually one of `getSiblings`
+    */
+   switchBranch(messageId) {
+      this.sessionManager.switchBranch(this.session, messageId);
+   }
+
+   /**
+    * Versions of a message, including itself, in the order they were written
+    * @param {string} messageId
+    * @returns {Array<string>}
+    */
+   getSiblings(messageId) {
+      const message = this.sessionManager.getMessage(this.session, messageId);
+      if (!message) return [];
+      const parentId = message.parentMessageIds?.[0];
+      const siblings = parentId
+         ? this.sessionManager.getChildren(this.session, parentId)
+         : this.session.lmSession.messages.filter((m) => m && !m.parentMessageIds?.[0]);
+      return siblings.map((m) => m.id);
+   }
+
+   /**
+    * Messages of the active branch from the start of the conversation
+    * @returns {Array<any>}
+    */
+   getBranchPath() {
+      return this.sessionManager.getBranchPath(this.session);
+   }
+
+   /**
+    * @returns {Array<import("./SessionManager.mjs").BranchNode>}
+    */
+   getBranchTree() {
+      return this.sessionManager.getBranchTree(this.session);
+   }
+
+   /**
+    * Send the results of the latest reply's tool calls back to the model
+    * @param {Array<{ id: string, result: any }>} results
+    * @param {SendOptions} [options={}] Usually the same tools as the turn that made the calls
+    */
+   async *sendToolResults(results, options = {}) {
+      const calls = this.getToolCalls();
+      const content = results
+         .map((r) =>
+            formatToolResult(r.id, r.result, calls.find((c) => c.id === r.id)?.name)
+         )
+         .join("\n\n");
+      yield* this.sendMessage({ role: "user", content, attachments: [] }, false, options);
+   }
+
+   /**
+    * Send a message and get back JSON that conforms to `schema`. Replies that don't parse or validate are
+    * answered in the same session with the errors, so the model can fix its own output.
+    * @param {Omit<import('types/lmarena').ChatMessage, "id">} message
+    * @param {object} schema JSON Schema
+    * @param {Object} [opts]
+    * @param {number} [opts.maxRepairs=2] Follow-up attempts after the first reply
+    * @param {AbortSignal} [opts.signal] Stops the turn, the promise then rejects with the signal's reason
+    * @returns {Promise<StructuredResult>}
+    * @throws {StructuredOutputError} If the last attempt still doesn't conform
+    * @throws {import("./StructuredOutput.mjs").SchemaError} If `schema` can't be used, before the message is sent
+    */
+   async sendMessageJSON(message, schema, { maxRepairs = 2, signal } = {}) {
+      compileSchema(schema);
+      let turn = {
+         ...message,
+         content: `${message.content}\n\n${buildSchemaPrompt(schema)}`
+      };
+      /** @type {Array<StructuredAttempt>} */
+      const attempts = [];
+      for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+         const { text, outputTokens } = await readReplyText(this.sendMessage(turn, false, { signal }));
+         const extracted = extractJson(text);
+         const errors =
+            "error" in extracted ? [extracted.error] : validateSchema(extracted.value, schema);
+         attempts.push({ text, errors, outputTokens });
+         if (errors.length === 0) {
+            return { value: extracted.value, text, attempts };
+         }
+         turn = { role: "user", content: buildRepairPrompt(errors), attachments: [] };
+      }
+      throw new StructuredOutputError(attempts);
+   }
+
+   /**
+    * Generate a video and wait for it, rendering can take minutes
+    * @param {Omit<import('types/lmarena').ChatMessage, "id">} message
+    * @param {(progress: { status: string, progress: number | null }) => void} [onProgress] Called while the video renders
+    * @param {AbortSignal} [signal] Stops waiting, the promise then rejects with the signal's reason
+    * @returns {Promise<{ videos: Array<{ url: string, mimeType: string }>, error: import("./ArenaErrors.mjs").ArenaError | null }>}
+    */
+   async generateVideo(message, onProgress = () => {}, signal = undefined) {
+      const videos = [];
+      let error = null;
+      for await (const chunk of this.sendMessage(message, false, { signal })) {
+         if (isErrorEvent(chunk)) {
+            error = arenaErrorFromData(chunk.data);
+         } else if ((chunk.event === "a2" || chunk.event === "a8") && Array.isArray(chunk.data)) {
+            for (const item of chunk.data) {
+               if (item.type === "video" && (item.video || item.url)) {
+                  videos.push({ url: item.video ?? item.url, mimeType: item.mimeType || "video/mp4" });
+               } else if (item.type === "video" || item.type === "video-progress") {
+                  onProgress({ status: item.status ?? "pending", progress: item.progress ?? null });
+               }
+            }
+         } else if (chunk.event === "ad") {
+            break;
+         }
+      }
+      return { videos, error };
+   }
+
+   /**
+    * Send a plain user message and wait for the whole reply, used by thread listeners
+    * @param {string} content
+    * @returns {Promise<{ content: string }>}
+    */
+   async createCompletion(content) {
+      const { text } = await readReplyText(
+         this.sendMessage({ role: "user", content, attachments: [] })
+      );
+      return { content: text };
+   }
+
+   /**
+    * The assistant message of the latest turn, holes left by retries are skipped
+    * @returns {any}
+    */
+   getLatestReply() {
+      const { messages, modelAMessageId } = this.session.lmSession;
+      return messages.find((m) => m?.id === modelAMessageId);
+   }
+
+   /**
+    * Both replies of the latest battle turn, B is null outside of battles
+    * @returns {{ a: any, b: any }}
+    */
+   getBattleReplies() {
+      const { modelBMessageId } = this.session.lmSession;
+      return {
+         a: this.getLatestReply() ?? null,
+         b: modelBMessageId ? this.sessionManager.getMessage(this.session, modelBMessageId) : null
+      };
+   }
+
+   /**
+    * Vote on the latest battle turn
+    * @param {import("./SessionManager.mjs").BattleVote} vote
+    */
+   async vote(vote) {
+      return await this.sessionManager.submitVote(this.session, vote);
+   }
+
+   /**
+    * Tool calls made in the latest reply
+    * @returns {Array<ToolCall>}
+    */
+   getToolCalls() {
+      return this.getLatestReply()?.toolCalls ?? [];
+   }
+
+   /**
+    * Reasoning of the latest reply, null if the model didn't send any
+    * @returns {Reasoning | null}
+    */
+   getReasoning() {
+      return this.getLatestReply()?.reasoning ?? null;
+   }
+
+   /**
+    * Sources cited by the latest reply in the order they arrived, numbered from 1 when shown
+    * @returns {Array<Source>}
+    */
+   getSources() {
+      return this.getLatestReply()?.sources ?? [];
+   }
+
+   /**
+    * @param {ToolOptions} options
+    */
+   usesEmulatedTools(options) {
+      return (
+         options.tools?.length > 0 &&
+         options.toolMode !== "native" &&
+         options.toolChoice !== "none"
+      );
+   }
+
+   /**
+    * Prefix the message with the emulated tool instructions, the caller's message is left untouched
+    * @param {any} message
+    * @param {ToolOptions} options
+    */
+   withToolPrompt(message, options) {
+      if (!this.usesEmulatedTools(options)) return message;
+      return {
+         ...message,
+         content: `${buildToolPrompt(options.tools, options.toolChoice)}\n\n${message.content}`
+      };
+   }
+
+   /**
+    * Parse emulated tool calls out of the reply and record them on the assistant message
+    * @param {AsyncIterable<{ event: string, data: any }>} arenaEvents
+    * @param {ToolOptions} options
+    */
+   async *streamReply(arenaEvents, options) {
+      if (!this.usesEmulatedTools(options)) {
+         yield* arenaEvents;
+         return;
+      }
+      /** @type {Array<ToolCall>} */
+      const toolCalls = [];
+      try {
+         yield* emulateToolCalls(arenaEvents, toolCalls);
+      } finally {
+         // The assistant message only exists once the arena accepted the request
+         const assistant = this.getLatestReply();
+         if (assistant && toolCalls.length > 0) {
+            assistant.toolCalls = [...(assistant.toolCalls ?? []), ...toolCalls];
+         }
+      }
    }
 
    shuffleSession() {
@@ -109,8 +422,97 @@ export class Chat {
    }
 
    // Process tokens and yield openai-compatible response chunks
-   async sendMessageOAICompat(message = null, messagesOverride = null) {
-      return "please don't use this";
+   // Only calls to tools listed in options.tools are surfaced, the arena's own tools run server-side
+   async *sendMessageOAICompat(message = null, messagesOverride = null, options = {}) {
+      const id = `chatcmpl-${randomUUID()}`;
+      const created = Math.floor(Date.now() / 1000);
+      const model = this.session.modelName;
+      const makeChunk = (delta, finishReason = null) => ({
+         id,
+         object: "chat.completion.chunk",
+         created,
+         model,
+         choices: [{ index: 0, delta, finish_reason: finishReason }]
+      });
+      const isOwnTool = (name) => options.tools?.some((t) => t.name === name) ?? false;
+      // Tool call ID -> index in the tool_calls array
+      const toolIndexes = new Map();
+      // Whether any of the reply was passed on
+      let replied = false;
+
+      if (message && !messagesOverride) {
+         await this.sessionManager.sendMessage(
+            this.session,
+            this.withToolPrompt(message, options)
+         );
+      }
+      yield makeChunk({ role: "assistant", content: "" });
+
+      for await (const chunk of this.streamReply(
+         this.sessionManager.runInference(this.session, messagesOverride, false, options),
+         options
+      )) {
+         if (chunk.event === "a0") {
+            replied = true;
+            yield makeChunk({ content: chunk.data });
+         } else if (chunk.event === "ag") {
+            replied = true;
+            // Same field DeepSeek and most OpenAI-compatible servers use
+            yield makeChunk({ reasoning_content: chunk.data });
+         } else if (chunk.event === "ab" || (chunk.event === "a9" && !toolIndexes.has(chunk.data.toolCallId))) {
+            if (!isOwnTool(chunk.data.toolName)) continue;
+            replied = true;
+            const index = toolIndexes.size;
+            toolIndexes.set(chunk.data.toolCallId, index);
+            const args = chunk.event === "a9" ? JSON.stringify(chunk.data.args ?? {}) : "";
+            yield makeChunk({
+               tool_calls: [
+                  {
+                     index,
+                     id: chunk.data.toolCallId,
+                     type: "function",
+                     function: { name: chunk.data.toolName, arguments: args }
+                  }
+               ]
+            });
+         } else if (chunk.event === "ac") {
+            if (!toolIndexes.has(chunk.data.toolCallId)) continue;
+            yield makeChunk({
+               tool_calls: [
+                  {
+                     index: toolIndexes.get(chunk.data.toolCallId),
+                     function: { arguments: chunk.data.argsTextDelta }
+                  }
+               ]
+            });
+         } else if (isErrorEvent(chunk)) {
+            if (chunk.data.kind === "moderation") {
+               yield makeChunk({ content: chunk.data.message }, "content_filter");
+               return;
+            }
+            throw arenaErrorFromData(chunk.data);
+         } else if (chunk.event === "at") {
+            // Without a retry the failure follows, a retry restarts the reply which can't be taken back once passed on
+            if (!chunk.data.retrying || !replied) continue;
+            const { kind, limitMs } = chunk.data;
+            throw new NetworkError(`The arena stopped responding (${kind} timeout after ${limitMs}ms).`, {
+               details: { timeout: kind, limitMs }
+            });
+         } else if (chunk.event === "ad") {
+            const finishReason = toOAIFinishReason(chunk.data);
+            // The arena also finishes with tool-calls after its own tools ran
+            yield makeChunk(
+               {},
+               toolIndexes.size > 0
+                  ? "tool_calls"
+                  : finishReason === "tool_calls"
+                    ? "stop"
+                    : finishReason
+            );
+            return;
+         }
+      }
+      yield makeChunk({}, toolIndexes.size > 0 ? "tool_calls" : "stop");
    }
 
    async addMessage(message) {
@@ -122,6 +524,24 @@ export class Chat {
    }
 }
 
+/**
+ * Map the arena's finish message onto an OpenAI finish_reason
+ * @param {any} data Payload of the `ad` event
+ * @returns {"stop" | "length" | "content_filter" | "tool_calls"}
+ */
+function toOAIFinishReason(data) {
+   switch (data?.finishReason) {
+      case "length":
+         return "length";
+      case "content-filter":
+         return "content_filter";
+      case "tool-calls":
+         return "tool_calls";
+      default:
+         return "stop";
+   }
+}
+
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 export class LMArena {
@@ -129,6 +549,7 @@ export class LMArena {
       
       this.sessionManager = new SessionManager(this);
       this.models = null;
+      this.modelsUpdatedAt = 0;
       this.actionCache = new Map();
       this.scriptCache = new Map();
       this.logger = new Logger("lmarena");
@@ -144,6 +565,8 @@ export class LMArena {
          // Use the ID as the key for easier lookup
          this.models.set(model.publicName, model);
       }
+      this.modelsUpdatedAt = Math.floor(Date.now() / 1000);
+      await this.detectProtocol();
    }
    async refetchModels() {
       await this.browser.page.reload({
@@ -162,6 +585,7 @@ export class LMArena {
          // Use the ID as the key for easier lookup
          this.models.set(model.publicName, model);
       }
+      this.modelsUpdatedAt = Math.floor(Date.now() / 1000);
       return models;
    }
 
@@ -173,25 +597,59 @@ export class LMArena {
     * @param {"GET"|"POST"|"PUT"|"DELETE"|"PATCH"} [params.method="GET"] - The HTTP method.
     * @param {Object<string, string>} [params.headers={}] - Optional headers to include in the request.
     * @param {any} [params.body] - Optional request body (JSON, string, etc.).
+    * @param {AbortSignal} [params.signal] - Aborts the fetch in the browser, the promise or the body stream then
+    * rejects with the signal's reason.
     * @returns {Promise<Response>} The fetch response.
     */
-   async makeAuthedRequest({ url, method = "GET", headers = {}, body }) {
+   async makeAuthedRequest({ url, method = "GET", headers = {}, body, signal }) {
+      signal?.throwIfAborted();
       const page = this.browser.page;
       const reqId = `stream-${Date.now()}-${Math.random().toString(36).slice(2)}`;
 
+      // Abort the fetch running in the page. An abort that gets there before the fetch started leaves a marker
+      // so the fetch never starts.
+      const abortInPage = () =>
+         page
+            .evaluate((reqId) => {
+               window.__lmFetchAborts ??= {};
+               const controller = window.__lmFetchAborts[reqId];
+               if (controller) controller.abort();
+               else window.__lmFetchAborts[reqId] = "aborted";
+            }, reqId)
+            .catch((err) => console.error(`[${reqId}] Failed to abort fetch in browser:`, err));
+
       return new Promise(async (resolve, reject) => {
          let controllerRef;
+         let finished = false;
+
+         const finish = () => {
+            finished = true;
+            delete page._streamHandlers?.[reqId];
+            signal?.removeEventListener("abort", onAbort);
+         };
+         const onAbort = () => {
+            this.fetchLogger.debug(`[${reqId}] Aborted`);
+            finish();
+            abortInPage();
+            // Only one of these applies, depending on whether the response had started
+            reject(signal.reason);
+            controllerRef.error(signal.reason);
+         };
 
          // Create a ReadableStream for chunks
          const stream = new ReadableStream({
             start(controller) {
                controllerRef = controller;
             },
-            cancel() {
+            cancel: () => {
+               if (finished) return;
+               // The reader was cancelled, stop the browser from reading the rest
                this.fetchLogger.debug(`[${reqId}] Stream cancelled`);
-               delete page._streamHandlers?.[reqId];
+               finish();
+               abortInPage();
             }
          });
+         signal?.addEventListener("abort", onAbort, { once: true });
 
          if (!page._streamHandlers) page._streamHandlers = {};
 
@@ -213,12 +671,15 @@ export class LMArena {
                controllerRef.enqueue(new TextEncoder().encode(msg.data));
             } else if (msg.type === "end") {
                this.fetchLogger.debug(`[${reqId}] End of stream`);
+               finish();
                controllerRef.close();
-               delete page._streamHandlers[reqId];
             } else if (msg.type === "error") {
                console.error(`[${reqId}] Error from browser: ${msg.error}`);
-               controllerRef.error(new Error(msg.error));
-               delete page._streamHandlers[reqId];
+               finish();
+               const error = new Error(msg.error);
+               // Errors before the response started would otherwise leave the request hanging
+               reject(error);
+               controllerRef.error(error);
             }
          };
 
@@ -265,17 +726,27 @@ export class LMArena {
             await page._exposingBridge;
          }
 
+         // Aborted while the bridge was being exposed
+         if (finished) return;
          this.fetchLogger.debug(`[${reqId}] Starting fetch in browser...`);
 
          // Run fetch inside the browser
          await page.evaluate(
             async ({ url, method, headers, body, reqId }) => {
+               window.__lmFetchAborts ??= {};
+               if (window.__lmFetchAborts[reqId] === "aborted") {
+                  delete window.__lmFetchAborts[reqId];
+                  return;
+               }
+               const controller = new AbortController();
+               window.__lmFetchAborts[reqId] = controller;
                try {
                   const response = await fetch(url, {
                      method,
                      headers,
                      body,
-                     credentials: "include"
+                     credentials: "include",
+                     signal: controller.signal
                   });
 
                   await window.nodeStreamBridge(reqId, {
@@ -300,10 +771,14 @@ export class LMArena {
 
                   await window.nodeStreamBridge(reqId, { type: "end" });
                } catch (err) {
+                  // Node already knows, it's the one that aborted
+                  if (controller.signal.aborted) return;
                   await window.nodeStreamBridge(reqId, {
                      type: "error",
                      error: String(err)
                   });
+               } finally {
+                  delete window.__lmFetchAborts[reqId];
                }
             },
             { url, method, headers, body, reqId }
@@ -352,7 +827,11 @@ export class LMArena {
       return [false, clearance, rt];
    }
 
-   async attemptFetchAction(actionDbgKey) {
+   /**
+    * Source of the site's script chunks, fetched once per URL
+    * @returns {Promise<Array<{ url: string, text: string }>>}
+    */
+   async loadStaticScripts() {
       const loadedExternals = await this.browser.page.evaluate(() => {
          return window.performance
             .getEntriesByType("resource")
@@ -363,11 +842,7 @@ export class LMArena {
       const staticChunkUrls = loadedExternals.filter((url) =>
          url.startsWith("https://lmarena.ai/_next/static/chunks/")
       );
-      const results = [];
-      const regex = new RegExp(
-         `\\(0,[A-Za-z0-9]*\\.createServerReference\\)\\("([0-9a-f]+)",[A-Za-z0-9]*\\.callServer,void 0,[A-Za-z0-9]*\\.findSourceMapURL,"${actionDbgKey}"\\)`,
-         "g"
-      );
+      const scripts = [];
       for (const url of staticChunkUrls) {
          let text = "NOSCRIPT";
          if (this.scriptCache.has(url)) {
@@ -381,6 +856,18 @@ export class LMArena {
 
             this.scriptCache.set(url, text);
          }
+         scripts.push({ url, text });
+      }
+      return scripts;
+   }
+
+   async attemptFetchAction(actionDbgKey) {
+      const results = [];
+      const regex = new RegExp(
+         `\\(0,[A-Za-z0-9]*\\.createServerReference\\)\\("([0-9a-f]+)",[A-Za-z0-9]*\\.callServer,void 0,[A-Za-z0-9]*\\.findSourceMapURL,"${actionDbgKey}"\\)`,
+         "g"
+      );
+      for (const { text } of await this.loadStaticScripts()) {
          const matches = [...text.matchAll(regex)];
 
          if (matches.length > 0) {
@@ -395,6 +882,44 @@ export class LMArena {
       return results;
    }
 
+   /**
+    * Pick the protocol turns are sent with from the site's scripts, `LMARENA_PROTOCOL` forces one by name.
+    * Keeps the current one when nothing matches, a wrong pick is corrected on the first rejected turn, see
+    * `SessionManager.fallBackProtocol`.
+    * @returns {Promise<ArenaProtocol>} The protocol in use
+    */
+   async detectProtocol() {
+      const forced = process.env.LMARENA_PROTOCOL;
+      if (forced) {
+         const protocol = getProtocol(forced);
+         if (!protocol) {
+            throw new Error(
+               `Unknown LMARENA_PROTOCOL "${forced}", expected one of ${ARENA_PROTOCOLS.map((p) => p.name).join(", ")}`
+            );
+         }
+         this.sessionManager.protocol = protocol;
+         this.sessionManager.protocolConfirmed = true;
+         this.logger.info(`using arena protocol ${protocol.name} (forced)`);
+         return protocol;
+      }
+      try {
+         const scripts = await this.loadStaticScripts();
+         const protocol = detectProtocol(scripts.map((script) => script.text));
+         if (protocol) {
+            this.sessionManager.protocol = protocol;
+            this.logger.info(`using arena protocol ${protocol.name}`);
+         } else {
+            this.logger.warn(
+               `no known arena protocol in ${scripts.length} scripts, keeping ${this.sessionManager.protocol.name}`
+            );
+         }
+      } catch (err) {
+         this.logger.error(`failed to detect the arena protocol, keeping ${this.sessionManager.protocol.name}`);
+         this.logger.debug(err);
+      }
+      return this.sessionManager.protocol;
+   }
+
    async action(key) {
       if (this.actionCache.has(key)) {
          return this.actionCache.get(key);
@@ -425,4 +950,31 @@ export class LMArena {
       const session = this.sessionManager.createSession(model, chatModality);
       return new Chat(this.sessionManager, session);
    }
+
+   /**
+    * Start a battle, both models answer every message and the stream carries `a`- and `b`-prefixed events
+    * @param {string} modelAName
+    * @param {string} modelBName
+    * @param {string} chatModality
+    * @param {{ anonymous?: boolean }} [opts]
+    */
+   startBattle(modelAName, modelBName, chatModality, { anonymous = false } = {}) {
+      const modelA = this.models.get(modelAName);
+      const modelB = this.models.get(modelBName);
+      if (!modelA || !modelB) {
+         throw new Error(`Model with name "${modelA ? modelBName : modelAName}" not found.`);
+      }
+      const session = this.sessionManager.createBattleSession(modelA, modelB, chatModality, anonymous);
+      return new Chat(this.sessionManager, session);
+   }
+
+   /**
+    * Pick a persisted conversation back up, see `SessionStore`
+    * @param {string} conversationId
+    * @returns {Chat | null} null if the session expired or was never saved
+    */
+   restoreChat(conversationId) {
+      const session = getSessionStore().restoreSession(conversationId);
+      return session ? new Chat(this.sessionManager, session) : null;
+   }
 }
@@ -0,0 +1,294 @@
+// Leaderboard.mjs
+// Community leaderboard: battle votes cast through the bot, rated with Elo and Bradley-Terry
+
+import { JsonFileStore, dataFile } from "./JsonFileStore.mjs";
+
+const STORE_PATH = dataFile("votes.json");
+
+// Ratings are put on the familiar arena scale, 400 points = 10x the odds of winning
+const BASE_RATING = 1000;
+const RATING_SCALE = 400;
+// Our vote counts are tiny next to the public arena's K=4, so each vote moves Elo further
+const ELO_K = 16;
+const BOOTSTRAP_ROUNDS = 100;
+// Resampled votes per ratings computation, big stores get fewer rounds so a leaderboard stays quick to render
+const BOOTSTRAP_VOTE_BUDGET = 100_000;
+const MIN_BOOTSTRAP_ROUNDS = 20;
+const BT_ITERATIONS = 100;
+
+/**
+ * @typedef {import("./SessionManager.mjs").BattleVote} BattleVote
+ */
+
+/**
+ * @typedef {Object} VoteRecord
+ * @property {string} modelA Public name
+ * @property {string} modelB Public name
+ * @property {BattleVote} winner
+ * @property {string} category See `categorizePrompt`
+ * @property {string} modality "text", "image", ...
+ * @property {string} userId Discord user that voted
+ * @property {boolean} anonymous Whether the voter could see the model names
+ * @property {number} votedAt
+ */
+
+/**
+ * @typedef {Object} ModelRating
+ * @property {string} model
+ * @property {number} elo
+ * @property {[number, number]} eloCI 95% confidence interval
+ * @property {number} bt Bradley-Terry rating on the Elo scale
+ * @property {[number, number]} btCI 95% confidence interval
+ * @property {number} votes
+ * @property {number} wins
+ * @property {number} losses
+ * @property {number} ties Includes "both bad"
+ */
+
+// Checked in order, the first category whose pattern matches wins
+const CATEGORY_PATTERNS = [
+   ["coding", /```|\b(code|function|bug|error|compile|regex|sql|python|javascript|typescript|java|rust|c\+\+|api|script)\b/i],
+   ["math", /\b(solve|equation|integral|derivative|prove|proof|calculate|probability|matrix)\b|\d\s*[+\-*/^=]\s*\d/i],
+   ["creative-writing", /\b(story|poem|lyrics|song|haiku|essay|fiction|character|roleplay|write me)\b/i],
+   ["translation", /\b(translate|translation|in (english|spanish|french|german|japanese|chinese|korean))\b/i]
+];
+
+/**
+ * Rough prompt category, so the leaderboard can be filtered like the arena's
+ * @param {string} prompt
+ * @returns {string}
+ */
+export function categorizePrompt(prompt) {
+   for (const [category, pattern] of CATEGORY_PATTERNS) {
+      if (pattern.test(prompt)) return category;
+   }
+   return "general";
+}
+
+export const PROMPT_CATEGORIES = [...CATEGORY_PATTERNS.map(([c]) => c), "general"];
+
+/**
+ * Score of model A in a vote, ties and both-bad count as half a win for each side
+ * @param {BattleVote} winner
+ */
+const scoreA = (winner) => (winner === "a" ? 1 : winner === "b" ? 0 : 0.5);
+
+/**
+ * Small seeded PRNG (mulberry32), keeps the bootstrap and so the intervals stable between renders
+ * @param {number} seed
+ */
+function makeRandom(seed) {
+   return () => {
+      seed = (seed + 0x6d2b79f5) | 0;
+      let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+   };
+}
+
+/**
+ * Online Elo over the votes in the order given
+ * @param {Array<VoteRecord>} votes
+ * @returns {Map<string, number>}
+ */
+export function computeElo(votes) {
+   const ratings = new Map();
+   const get = (m) => ratings.get(m) ?? BASE_RATING;
+   for (const vote of votes) {
+      const ra = get(vote.modelA);
+      const rb = get(vote.modelB);
+      const expectedA = 1 / (1 + 10 ** ((rb - ra) / RATING_SCALE));
+      const delta = ELO_K * (scoreA(vote.winner) - expectedA);
+      ratings.set(vote.modelA, ra + delta);
+      ratings.set(vote.modelB, rb - delta);
+   }
+   return ratings;
+}
+
+/**
+ * Bradley-Terry maximum likelihood fit with the MM algorithm. Every model also gets one tie against a
+ * virtual opponent of average strength, so models that never won (or never lost) still get a finite rating.
+ * @param {Array<VoteRecord>} votes
+ * @returns {Map<string, number>}
+ */
+export function computeBradleyTerry(votes) {
+   const models = new Set(votes.flatMap((v) => [v.modelA, v.modelB]));
+   /** @type {Map<string, number>} */
+   const wins = new Map();
+   /** @type {Map<string, Map<string, number>>} Games played between each pair */
+   const games = new Map();
+   for (const model of models) {
+      wins.set(model, 0.5);
+      games.set(model, new Map());
+   }
+   for (const vote of votes) {
+      const s = scoreA(vote.winner);
+      wins.set(vote.modelA, wins.get(vote.modelA) + s);
+      wins.set(vote.modelB, wins.get(vote.modelB) + 1 - s);
+      const ga = games.get(vote.modelA);
+      const gb = games.get(vote.modelB);
+      ga.set(vote.modelB, (ga.get(vote.modelB) ?? 0) + 1);
+      gb.set(vote.modelA, (gb.get(vote.modelA) ?? 0) + 1);
+   }
+
+   let strength = new Map(Array.from(models, (m) => [m, 1]));
+   for (let i = 0; i < BT_ITERATIONS; i++) {
+      const next = new Map();
+      for (const model of models) {
+         const p = strength.get(model);
+         // The virtual opponent has strength 1
+         let denominator = 1 / (p + 1);
+         for (const [opponent, n] of games.get(model)) {
+            denominator += n / (p + strength.get(opponent));
+         }
+         next.set(model, wins.get(model) / denominator);
+      }
+      strength = next;
+   }
+
+   const ratings = new Map();
+   for (const [model, p] of strength) {
+      ratings.set(model, BASE_RATING + RATING_SCALE * Math.log10(p));
+   }
+   return ratings;
+}
+
+/**
+ * @param {Array<number>} sorted
+ * @param {number} q
+ */
+const percentile = (sorted, q) =>
+   sorted[Math.min(sorted.length - 1, Math.max(0, Math.round(q * (sorted.length - 1))))];
+
+/**
+ * Both ratings for every model that appears in the votes, with bootstrapped 95% intervals, best first
+ * @param {Array<VoteRecord>} votes Oldest first
+ * @param {Object} [opts]
+ * @param {number} [opts.rounds] Defaults to `BOOTSTRAP_ROUNDS`, fewer once the votes exceed the budget
+ * @returns {Array<ModelRating>}
+ */
+export function computeRatings(
+   votes,
+   {
+      rounds = Math.max(
+         MIN_BOOTSTRAP_ROUNDS,
+         Math.min(BOOTSTRAP_ROUNDS, Math.floor(BOOTSTRAP_VOTE_BUDGET / Math.max(votes.length, 1)))
+      )
+   } = {}
+) {
+   if (votes.length === 0) return [];
+   const elo = computeElo(votes);
+   const bt = computeBradleyTerry(votes);
+
+   const random = makeRandom(votes.length);
+   /** @type {Map<string, { elo: Array<number>, bt: Array<number> }>} */
+   const samples = new Map(Array.from(elo.keys(), (m) => [m, { elo: [], bt: [] }]));
+   for (let round = 0; round < rounds; round++) {
+      const resampled = Array.from(votes, () => votes[Math.floor(random() * votes.length)]);
+      const roundElo = computeElo(resampled);
+      const roundBt = computeBradleyTerry(resampled);
+      for (const [model, s] of samples) {
+         // Models missing from a resample sit at the base rating, like a model nobody has voted on
+         s.elo.push(roundElo.get(model) ?? BASE_RATING);
+         s.bt.push(roundBt.get(model) ?? BASE_RATING);
+      }
+   }
+
+   const results = [];
+   for (const [model, s] of samples) {
+      s.elo.sort((x, y) => x - y);
+      s.bt.sort((x, y) => x - y);
+      const record = { wins: 0, losses: 0, ties: 0 };
+      for (const vote of votes) {
+         if (vote.modelA !== model && vote.modelB !== model) continue;
+         const score = vote.modelA === model ? scoreA(vote.winner) : 1 - scoreA(vote.winner);
+         if (score === 1) record.wins++;
+         else if (score === 0) record.losses++;
+         else record.ties++;
+      }
+      results.push({
+         model,
+         elo: elo.get(model),
+         eloCI: [percentile(s.elo, 0.025), percentile(s.elo, 0.975)],
+         bt: bt.get(model),
+         btCI: [percentile(s.bt, 0.025), percentile(s.bt, 0.975)],
+         votes: record.wins + record.losses + record.ties,
+         ...record
+      });
+   }
+   return results.sort((x, y) => y.bt - x.bt);
+}
+
+export class VoteStore extends JsonFileStore {
+   constructor(filePath = STORE_PATH) {
+      super(filePath);
+      /** @type {Array<VoteRecord>} Oldest first */
+      this.votes = [];
+      /** @type {Map<string, Array<ModelRating>>} See `getRatings`, cleared by every vote */
+      this.ratingsCache = new Map();
+      this.load();
+   }
+
+   load() {
+      this.votes = this.readFile()?.votes ?? [];
+   }
+
+   serialize() {
+      return { votes: this.votes };
+   }
+
+   /**
+    * @param {Omit<VoteRecord, "votedAt">} vote
+    */
+   recordVote(vote) {
+      this.votes.push({ ...vote, votedAt: Date.now() });
+      this.ratingsCache.clear();
+      this.save();
+   }
+
+   /**
+    * @param {Object} [filter]
+    * @param {string} [filter.modality]
+    * @param {string} [filter.category]
+    * @param {number} [filter.since] Only votes cast at or after this timestamp
+    * @returns {Array<VoteRecord>}
+    */
+   getVotes({ modality, category, since } = {}) {
+      return this.votes.filter(
+         (v) =>
+            (!modality || v.modality === modality) &&
+            (!category || v.category === category) &&
+            (!since || v.votedAt >= since)
+      );
+   }
+
+   /**
+    * `computeRatings` over `getVotes(filter)`, cached until the next vote since the bootstrap gets slow as the
+    * store grows
+    * @param {Parameters<VoteStore["getVotes"]>[0]} [filter]
+    * @returns {{ votes: number, ratings: Array<ModelRating> }}
+    */
+   getRatings(filter = {}) {
+      const votes = this.getVotes(filter);
+      // Votes are only appended, so with the same filter the count tells the windows apart
+      const key = `${filter.modality ?? ""}|${filter.category ?? ""}|${votes.length}`;
+      let ratings = this.ratingsCache.get(key);
+      if (!ratings) {
+         ratings = computeRatings(votes);
+         this.ratingsCache.set(key, ratings);
+      }
+      return { votes: votes.length, ratings };
+   }
+}
+
+let voteStoreInstance = null;
+
+/**
+ * @returns {VoteStore}
+ */
+export function getVoteStore() {
+   if (!voteStoreInstance) {
+      voteStoreInstance = new VoteStore();
+   }
+   return voteStoreInstance;
+}
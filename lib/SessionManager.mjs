@@ -5,10 +5,22 @@
 //import { randomUUID } from "node:crypto";
 import { v7 as randomUUID } from "uuid";
 import fs from "node:fs";
+import { setTimeout as sleep } from "node:timers/promises";
 import { TransformStream } from "node:stream/web";
 import { Readable } from "node:stream";
-import { parseAndDereference } from "./util.mjs";
+import { formatTranscript, parseAndDereference } from "./util.mjs";
 import { LM_NEXT_ACTIONS, LMArena } from "./LMArena.mjs";
+import { getUploadCache, hashContent, hashFile, signedUrlExpiry } from "./UploadCache.mjs";
+import { ARENA_PROTOCOLS, ArenaStreamParser } from "./ArenaProtocols.mjs";
+import {
+   NetworkError,
+   ParseError,
+   UpstreamProviderError,
+   arenaErrorFromResponse,
+   asNetworkError,
+   errorEvent,
+   isErrorEvent
+} from "./ArenaErrors.mjs";
 
 /**
  * Import all exported types from the main declaration file into the "Types" namespace.
@@ -16,6 +28,161 @@ import { LM_NEXT_ACTIONS, LMArena } from "./LMArena.mjs";
  * @typedef {import('types/lmarena').LargeAttachment} LargeAttachment
  */
 
+/**
+ * Node of a session's message tree, see `SessionManager.getBranchTree`
+ * @typedef {Object} BranchNode
+ * @property {string} id
+ * @property {"user" | "assistant" | "system"} role
+ * @property {string} content
+ * @property {boolean} active Whether the message is on the active branch
+ * @property {Array<BranchNode>} children
+ */
+
+/**
+ * How a battle vote can go, A better, B better, tie, or both bad
+ * @typedef {"a" | "b" | "tie" | "both_bad"} BattleVote
+ */
+export const BATTLE_VOTES = ["a", "b", "tie", "both_bad"];
+
+// Video models may finish their stream before the video exists, it's then polled for this long
+const VIDEO_POLL_INTERVAL_MS = 5000;
+const VIDEO_POLL_TIMEOUT_MS = 15 * 60 * 1000;
+// Signed attachment URLs this close to expiring are signed again before they're sent
+const SIGNED_URL_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * How long an arena stream may take before it's given up on, 0 turns a limit off
+ * @typedef {Object} StreamTimeouts
+ * @property {number} [firstTokenMs] From sending the request to the first event with content
+ * @property {number} [idleMs] Between two chunks of the stream
+ * @property {number} [totalMs] The whole stream
+ * @property {number} [retries] Automatic restarts after a timeout, only for consumers that drop what they got on an
+ * `at` event with `retrying` set
+ */
+
+/**
+ * @param {string} name
+ * @param {number} fallback
+ */
+const envNumber = (name, fallback) => {
+   const value = Number(process.env[name]);
+   return process.env[name] && Number.isFinite(value) ? value : fallback;
+};
+
+/** @type {Required<StreamTimeouts>} */
+export const DEFAULT_STREAM_TIMEOUTS = Object.freeze({
+   firstTokenMs: envNumber("LMARENA_FIRST_TOKEN_TIMEOUT_MS", 90 * 1000),
+   idleMs: envNumber("LMARENA_IDLE_TIMEOUT_MS", 60 * 1000),
+   totalMs: envNumber("LMARENA_TOTAL_TIMEOUT_MS", 10 * 60 * 1000),
+   // Not configurable, a restart streams the reply again from the start and most consumers can't take back what
+   // they got, so callers that can opt in per call
+   retries: 0
+});
+
+// Events that keep the stream going but aren't part of the reply, they don't count as the first token
+const BOOKKEEPING_EVENT_CODES = new Set(["8", "e", "f"]);
+
+/**
+ * When a failed arena request is tried again, only failures before any of the reply reached the caller are
+ * @typedef {Object} RetryPolicy
+ * @property {number} [retries] Retries after the first attempt, 0 turns retrying off
+ * @property {number} [baseDelayMs] Wait before the first retry, doubled for each one after, with jitter
+ * @property {number} [maxDelayMs] Longest wait, rate limits that ask for longer aren't retried
+ * @property {boolean} [refreshAuth] Get a new arena identity after auth and rate limit failures
+ */
+
+/** @type {Required<RetryPolicy>} */
+export const DEFAULT_RETRY_POLICY = Object.freeze({
+   retries: envNumber("LMARENA_RETRIES", 2),
+   baseDelayMs: envNumber("LMARENA_RETRY_BASE_DELAY_MS", 1000),
+   maxDelayMs: envNumber("LMARENA_RETRY_MAX_DELAY_MS", 15 * 1000),
+   refreshAuth: process.env.LMARENA_RETRY_REFRESH_AUTH !== "false"
+});
+
+// Failures that are tied to the arena identity, a new one may get past them
+const AUTH_ERROR_KINDS = new Set(["auth_expired", "rate_limit"]);
+
+/**
+ * How long to wait before retrying a failure, exponential backoff with equal jitter
+ * @param {Required<RetryPolicy>} policy
+ * @param {number} attempt The attempt that failed, from 1
+ * @param {import("./ArenaErrors.mjs").ArenaErrorData} error
+ * @returns {number | null} null if it shouldn't be retried
+ */
+function retryDelay(policy, attempt, error) {
+   if (!error.retryable) return null;
+   const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+   const delayMs = Math.round(ceiling / 2 + (Math.random() * ceiling) / 2);
+   // A new identity isn't held to the old one's rate limit
+   const retryAfterMs = error.details.authRefreshed ? null : error.details.retryAfterMs;
+   if (!retryAfterMs) return delayMs;
+   return retryAfterMs > policy.maxDelayMs ? null : Math.max(delayMs, retryAfterMs);
+}
+
+/**
+ * Reason a stream is aborted with when one of its `StreamTimeouts` runs out
+ */
+class StreamTimeout extends Error {
+   /**
+    * @param {"first_token" | "idle" | "total"} kind
+    * @param {number} limitMs
+    */
+   constructor(kind, limitMs) {
+      super(`No ${kind === "first_token" ? "first token" : kind === "idle" ? "data" : "end of stream"} after ${limitMs}ms`);
+      this.name = "StreamTimeout";
+      this.kind = kind;
+      this.limitMs = limitMs;
+   }
+}
+
+/**
+ * Runs the timers of one stream attempt, `signal` aborts with a `StreamTimeout` when one runs out
+ */
+class StreamWatchdog {
+   /**
+    * @param {Required<StreamTimeouts>} limits
+    * @param {AbortSignal} [signal] The caller's signal, followed as well
+    */
+   constructor(limits, signal) {
+      this.limits = limits;
+      this.controller = new AbortController();
+      this.signal = signal ? AbortSignal.any([signal, this.controller.signal]) : this.controller.signal;
+      // Whether the arena answered the request, the reply then exists on its side
+      this.responded = false;
+      this.gotToken = false;
+      this.timers = {};
+      this.arm("first_token", limits.firstTokenMs);
+      this.arm("total", limits.totalMs);
+   }
+
+   /**
+    * @param {"first_token" | "idle" | "total"} kind
+    * @param {number} ms
+    */
+   arm(kind, ms) {
+      clearTimeout(this.timers[kind]);
+      if (ms > 0) {
+         this.timers[kind] = setTimeout(() => this.controller.abort(new StreamTimeout(kind, ms)), ms);
+      }
+   }
+
+   // A chunk arrived
+   onChunk() {
+      this.arm("idle", this.limits.idleMs);
+   }
+
+   // An event with content arrived
+   onToken() {
+      if (this.gotToken) return;
+      this.gotToken = true;
+      clearTimeout(this.timers.first_token);
+   }
+
+   dispose() {
+      for (const timer of Object.values(this.timers)) clearTimeout(timer);
+   }
+}
+
 export class SessionManager {
    /**
     *
@@ -26,6 +193,15 @@ export class SessionManager {
        * @type {LMArena}
        */
       this.lmarena = lmarenaObject;
+      /**
+       * How turns are sent to the arena, `LMArena.detectProtocol` sets the one the site uses
+       * @type {import("./ArenaProtocols.mjs").ArenaProtocol}
+       */
+      this.protocol = ARENA_PROTOCOLS[0];
+      // Set once the arena accepted a request, or when the protocol was forced
+      this.protocolConfirmed = false;
+      /** @type {Set<import("./ArenaProtocols.mjs").ArenaProtocol>} */
+      this.rejectedProtocols = new Set();
    }
 
    /**
@@ -50,10 +226,75 @@ export class SessionManager {
          // Internal state for the manager
          doesSessionExist: false,
          sessionId: sessionId, // Ensure internal sessionId matches lmSession id
+         conversationId: sessionId,
+         headMessageId: null,
+         modelName: model.publicName,
          messages: []
       };
    }
 
+   /**
+    * Session where two models answer every message side by side
+    * @param {any} modelA
+    * @param {any} modelB
+    * @param {string} chatModality
+    * @param {boolean} [anonymous=false] Hide which model is which until a vote is cast
+    * @returns {Types.ChatSession}
+    */
+   createBattleSession(modelA, modelB, chatModality, anonymous = false) {
+      const session = this.createSession(modelA, chatModality);
+      session.lmSession.mode = anonymous ? "battle" : "side-by-side";
+      session.lmSession.modelBId = modelB.id;
+      session.lmSession.modelBMessageId = "";
+      session.battle = {
+         modelBName: modelB.publicName,
+         anonymous,
+         votes: []
+      };
+      return session;
+   }
+
+   /**
+    * Vote on the latest battle turn
+    * @param {Types.ChatSession} session
+    * @param {BattleVote} vote
+    * @returns {Promise<{ modelA: string, modelB: string, vote: BattleVote }>} Both models, now that they can be revealed
+    */
+   async submitVote(session, vote) {
+      if (!session.battle) {
+         throw new Error("Only battle sessions can be voted on.");
+      }
+      if (!BATTLE_VOTES.includes(vote)) {
+         throw new Error(`Invalid vote "${vote}", expected one of ${BATTLE_VOTES.join(", ")}.`);
+      }
+      const { userMessageId, modelAMessageId, modelBMessageId } = session.lmSession;
+      if (session.battle.votes.some((v) => v.userMessageId === userMessageId)) {
+         throw new Error("This turn has already been voted on.");
+      }
+      const response = await this.lmarena.makeAuthedRequest({
+         url: `https://lmarena.ai/nextjs-api/evaluation/${session.sessionId}/vote`,
+         method: "POST",
+         headers: {
+            "Referer": `https://lmarena.ai/c/${session.sessionId}`,
+            "Content-Type": "application/json"
+         },
+         body: JSON.stringify({
+            evaluationSessionId: session.sessionId,
+            userMessageId,
+            modelAMessageId,
+            modelBMessageId,
+            vote
+         })
+      });
+      if (!response.ok) {
+         throw new Error(
+            `Failed to submit vote. Status: ${response.status}. Response: ${await response.text()}`
+         );
+      }
+      session.battle.votes.push({ userMessageId, vote, votedAt: Date.now() });
+      return { modelA: session.modelName, modelB: session.battle.modelBName, vote };
+   }
+
    // LMArena's new backend is a pain in the ass to work
    // I hate it so much
    createSessionV2(model, chatModality) {
@@ -69,12 +310,78 @@ export class SessionManager {
          },
          doesSessionExist: false,
          sessionId,
+         conversationId: sessionId,
+         headMessageId: null,
+         modelName: model.publicName,
          messages: [] // This no longer gets updated since the backend maintains conversation a-la OpenAI Responses
       }
    }
 
+   /**
+    * Page the attachment server actions are called on
+    * @param {object} session
+    */
+   attachmentActionUrl(session) {
+      return session.doesSessionExist
+         ? `https://lmarena.ai/c/${session.sessionId}?chat-modality=image`
+         : "https://lmarena.ai/?mode=direct&chat-modality=image";
+   }
+
+   /**
+    * Get a signed URL for an object that's already on R2
+    * @param {object} session
+    * @param {string} r2Key
+    * @returns {Promise<string>}
+    */
+   async signR2Key(session, r2Key) {
+      const getFinalUrlResponse = await this.lmarena.makeAuthedRequest({
+         url: this.attachmentActionUrl(session),
+         method: "POST",
+         body: JSON.stringify([r2Key]),
+         headers: {
+            "content-type": "text/plain;charset=UTF-8",
+            accept: "text/x-component",
+            "next-action": await this.lmarena.action("ATTACHMENT_FETCH_URL")
+         }
+      });
+
+      const finalUrlText = await getFinalUrlResponse.text();
+      const parsedFinalData = parseAndDereference(finalUrlText);
+      const finalData = parsedFinalData ? parsedFinalData.a : null;
+      if (
+         !finalData ||
+         !finalData.success ||
+         !finalData.data ||
+         !finalData.data.url
+      ) {
+         throw new Error("Failed to get final URL after confirming upload.");
+      }
+      return finalData.data.url;
+   }
+
+   /**
+    * Return a URL for an uploaded object that's still valid, signing it again if it's (about to be) expired
+    * @param {object} session
+    * @param {string} r2Key
+    * @param {string} url Last known URL
+    * @returns {Promise<string>}
+    */
+   async refreshR2Url(session, r2Key, url) {
+      const cache = getUploadCache();
+      const cached = cache.getByKey(r2Key);
+      // URLs that don't say when they expire are trusted unless the cache knows better
+      const expiresAt = cached ? cached.expiresAt : signedUrlExpiry(url) ?? Infinity;
+      if (expiresAt - SIGNED_URL_MARGIN_MS > Date.now()) {
+         return cached ? cached.url : url;
+      }
+      const fresh = await this.signR2Key(session, r2Key);
+      cache.updateUrl(r2Key, fresh);
+      return fresh;
+   }
+
    /**
     * Uploads an attachment to R2, supporting both in-memory buffers and large file streams.
+    * Content that was uploaded before is not sent again, the earlier upload is reused (and re-signed if needed).
     * @param {object} session - The active session object.
     * @param {Attachment | LargeAttachment} attachment - The attachment object.
     * @param {boolean} [stream=false] - If true, streams from `filePath`. If false, uses `content` buffer.
@@ -91,9 +398,27 @@ export class SessionManager {
          throw new Error("Attachment object must include a 'mime' type.");
       }
 
-      const attStatUrl = session.doesSessionExist
-         ? `https://lmarena.ai/c/${session.sessionId}?chat-modality=image`
-         : "https://lmarena.ai/?mode=direct&chat-modality=image";
+      const cache = getUploadCache();
+      let hash = null;
+      if (stream ? attachment.filePath : attachment.content instanceof Buffer) {
+         hash = stream
+            ? await hashFile(attachment.mime, attachment.filePath)
+            : hashContent(attachment.mime, attachment.content);
+      }
+      const cached = hash ? cache.get(hash) : null;
+      if (cached) {
+         try {
+            const url = await this.refreshR2Url(session, cached.key, cached.url);
+            console.log("Reusing earlier R2 upload.");
+            return { url, key: cached.key };
+         } catch (err) {
+            // The object may be gone, upload it again
+            console.error("Failed to re-sign cached upload:", err);
+            cache.delete(hash);
+         }
+      }
+
+      const attStatUrl = this.attachmentActionUrl(session);
 
       // --- Step 1: Get the pre-signed upload URL from LMArena (common for both methods) ---
       const getUploadUrlResponse = await this.lmarena.makeAuthedRequest({
@@ -154,7 +479,9 @@ export class SessionManager {
                "Content-Type": attachment.mime,
                "Content-Length": totalSize.toString()
             },
-            body: fileStream.pipeThrough(progressStream)
+            body: fileStream.pipeThrough(progressStream),
+            // Required by fetch for streamed request bodies
+            duplex: "half"
          };
       } else {
          // --- SMALL FILE / BUFFER PATH (DEFAULT) ---
@@ -184,33 +511,16 @@ export class SessionManager {
       }
       console.log("R2 upload finished successfully.");
 
-      const getFinalUrlResponse = await this.lmarena.makeAuthedRequest({
-         url: attStatUrl,
-         method: "POST",
-         body: JSON.stringify([r2Key]),
-         headers: {
-            "content-type": "text/plain;charset=UTF-8",
-            accept: "text/x-component",
-            "next-action": await this.lmarena.action("ATTACHMENT_FETCH_URL")
-         }
-      });
-
-      const finalUrlText = await getFinalUrlResponse.text();
-      const parsedFinalData = parseAndDereference(finalUrlText);
-      const finalData = parsedFinalData ? parsedFinalData.a : null;
-      if (
-         !finalData ||
-         !finalData.success ||
-         !finalData.data ||
-         !finalData.data.url
-      ) {
-         throw new Error("Failed to get final URL after confirming upload.");
+      const url = await this.signR2Key(session, r2Key);
+      if (hash) {
+         cache.set(hash, {
+            key: r2Key,
+            url,
+            mime: attachment.mime,
+            size: stream ? attachment.size : attachment.content.length
+         });
       }
-
-      return {
-         url: finalData.data.url,
-         key: r2Key
-      };
+      return { url, key: r2Key };
    }
 
    async convertChatMessageToLMMessage(session, chatMessage) {
@@ -228,6 +538,10 @@ export class SessionManager {
       if (chatMessage.attachments.length > 0) {
          for (const att of chatMessage.attachments) {
             if (att.r2BucketUrl !== null) {
+               // Restored and long-lived sessions can hold URLs that have expired since
+               if (att.r2Key) {
+                  att.r2BucketUrl = await this.refreshR2Url(session, att.r2Key, att.r2BucketUrl);
+               }
                lmMessage.experimental_attachments.push({
                   contentType: att.mime,
                   name: att.r2Key,
@@ -237,6 +551,9 @@ export class SessionManager {
             }
             const { url: uploadedUrl, key: fileName } =
                await this.uploadAttachmentToR2(session, att);
+            // Remember the upload so retries and restored sessions don't send the bytes again
+            att.r2Key = fileName;
+            att.r2BucketUrl = uploadedUrl;
             lmMessage.experimental_attachments.push({
                contentType: att.mime,
                name: fileName,
@@ -247,7 +564,147 @@ export class SessionManager {
       return lmMessage;
    }
 
-   async *runInference(session, messagesOverride = null, retry = false) {
+   /**
+    * Stream the reply to the current user message from the arena, sent with `this.protocol`. A stream that runs
+    * into one of its timeouts ends with an `at` event ({ kind, limitMs, retrying }). If there are retries left the
+    * reply is then regenerated through the retry endpoint and streamed from the start, consumers should drop what
+    * they got so far. Otherwise the stream fails with a `NetworkError`.
+    *
+    * Failures are reported as a `cx` event (`ax`/`bx` for one side of a battle) with `ArenaErrorData`, the
+    * stream then ends with `ad` "err". See `ArenaErrors.mjs`. Retryable failures that come before anything of
+    * the reply are tried again following `opts.retryPolicy` instead, each retry is announced with an `ar` event
+    * ({ attempt, delayMs, error }). Auth and rate limit failures get the arena identity refreshed either way.
+    * @param {Types.ChatSession} session
+    * @param {Array<Types.ChatMessage> | null} [messagesOverride=null] Rebuild the history from these first
+    * @param {boolean} [retry=false] Regenerate the latest reply
+    * @param {Object} [opts]
+    * @param {AbortSignal} [opts.signal] Stops the request, the generator then throws the signal's reason
+    * @param {StreamTimeouts} [opts.timeouts] Overrides `DEFAULT_STREAM_TIMEOUTS`
+    * @param {RetryPolicy} [opts.retryPolicy] Overrides `DEFAULT_RETRY_POLICY`
+    */
+   async *runInference(session, messagesOverride = null, retry = false, { signal, timeouts, retryPolicy } = {}) {
+      const limits = { ...DEFAULT_STREAM_TIMEOUTS, ...timeouts };
+      const policy = { ...DEFAULT_RETRY_POLICY, ...retryPolicy };
+      let timeoutRetriesLeft = limits.retries;
+      let errorRetriesLeft = policy.retries;
+      let attempt = 1;
+      // Whether the caller got any of the reply, failures after that are only retried if it can take it back
+      let streamed = false;
+      while (true) {
+         const watchdog = new StreamWatchdog(limits, signal);
+         /** @type {{ error: import("./ArenaErrors.mjs").ArenaErrorData, delayMs: number } | null} */
+         let pending = null;
+         try {
+            for await (const chunk of this.streamEvaluation(session, messagesOverride, retry, watchdog)) {
+               // The `ad` closing a failure that's retried
+               if (pending) continue;
+               if (isErrorEvent(chunk)) {
+                  if (this.fallBackProtocol(chunk.data)) {
+                     pending = { error: chunk.data, delayMs: 0 };
+                     continue;
+                  }
+                  if (policy.refreshAuth && AUTH_ERROR_KINDS.has(chunk.data.kind)) {
+                     chunk.data.details.authRefreshed = await this.refreshAuth();
+                  }
+                  const delayMs = streamed || errorRetriesLeft === 0 ? null : retryDelay(policy, attempt, chunk.data);
+                  if (delayMs !== null) {
+                     pending = { error: chunk.data, delayMs };
+                     errorRetriesLeft--;
+                     continue;
+                  }
+               }
+               if (!BOOKKEEPING_EVENT_CODES.has(chunk.event[1])) streamed = true;
+               yield chunk;
+            }
+            if (!pending) return;
+         } catch (err) {
+            if (!(err instanceof StreamTimeout)) throw err;
+            const error = new NetworkError(`The arena stopped responding (${err.message}).`, {
+               details: { timeout: err.kind, limitMs: err.limitMs }
+            });
+            // Consumers that opted into timeout retries take back a partial reply, otherwise it falls to the policy
+            const restart = timeoutRetriesLeft > 0;
+            const delayMs = restart
+               ? 0
+               : streamed || errorRetriesLeft === 0
+                 ? null
+                 : retryDelay(policy, attempt, error.toJSON());
+            const retrying = delayMs !== null;
+            console.error(`Arena stream for ${session.sessionId} timed out: ${err.message}${retrying ? ", retrying" : ""}`);
+            yield { event: "at", data: { kind: err.kind, limitMs: err.limitMs, retrying } };
+            if (!retrying) {
+               yield errorEvent(error);
+               yield { event: "ad", data: "err" };
+               return;
+            }
+            if (restart) timeoutRetriesLeft--;
+            else errorRetriesLeft--;
+            pending = { error: error.toJSON(), delayMs };
+            streamed = false;
+         } finally {
+            watchdog.dispose();
+         }
+
+         attempt++;
+         messagesOverride = null;
+         // Once the arena answered it has the reply, so it's regenerated instead of sending the message again
+         retry ||= watchdog.responded;
+         if (pending.error.kind !== "network" || !pending.error.details.timeout) {
+            console.error(
+               `Arena request for ${session.sessionId} failed with ${pending.error.kind} (${pending.error.message}), attempt ${attempt} in ${pending.delayMs}ms`
+            );
+         }
+         yield { event: "ar", data: { attempt, delayMs: pending.delayMs, error: pending.error } };
+         if (pending.delayMs > 0) await sleep(pending.delayMs, undefined, { signal });
+      }
+   }
+
+   /**
+    * Switch to the next protocol when the arena rejects the current one's request, which is what a wrong guess by
+    * `LMArena.detectProtocol` looks like. Only until a request went through.
+    * @param {import("./ArenaErrors.mjs").ArenaErrorData} error
+    * @returns {boolean} Whether there's another protocol to send the turn with
+    */
+   fallBackProtocol(error) {
+      if (this.protocolConfirmed || error.kind !== "unknown" || !(error.status >= 400 && error.status < 500)) {
+         return false;
+      }
+      this.rejectedProtocols.add(this.protocol);
+      const next = ARENA_PROTOCOLS.find((protocol) => !this.rejectedProtocols.has(protocol));
+      if (!next) return false;
+      console.error(`Arena rejected the ${this.protocol.name} protocol (${error.status}), falling back to ${next.name}`);
+      this.protocol = next;
+      return true;
+   }
+
+   /**
+    * `LMArena.updateArenaAuth`, failures that come in while a refresh is running share it
+    * @returns {Promise<boolean>} Whether there's a new identity
+    */
+   refreshAuth() {
+      this.authRefresh ??= this.lmarena
+         .updateArenaAuth()
+         .then(
+            ([success]) => success,
+            (err) => {
+               console.error("Failed to refresh arena auth:", err);
+               return false;
+            }
+         )
+         .finally(() => {
+            this.authRefresh = null;
+         });
+      return this.authRefresh;
+   }
+
+   /**
+    * One attempt of `runInference`
+    * @param {Types.ChatSession} session
+    * @param {Array<Types.ChatMessage> | null} messagesOverride
+    * @param {boolean} retry
+    * @param {StreamWatchdog} watchdog
+    */
+   async *streamEvaluation(session, messagesOverride, retry, watchdog) {
       if (messagesOverride) {
          session.messages = [];
          session.lmSession.messages = [];
@@ -255,393 +712,242 @@ export class SessionManager {
             await this.sendMessage(session, msg);
          }
       }
-      let payload = session.lmSession;
-      let url;
-
-      if (!session.doesSessionExist) {
-         url = "https://lmarena.ai/nextjs-api/stream/create-evaluation";
-      } else {
-         url = `https://lmarena.ai/nextjs-api/stream/post-to-evaluation/${session.sessionId}`;
-      }
 
+      const { lmSession } = session;
       if (retry) {
-         const assistantId = session.lmSession.modelAMessageId;
-         url = `https://lmarena.ai/nextjs-api/stream/retry-evaluation-session-message/${session.sessionId}/messages/${assistantId}`;
          // Remove the assistants message to parity with official
-         for (const msgI in session.lmSession.messages) {
-            const msg = session.lmSession.messages[msgI];
+         const assistantId = lmSession.modelAMessageId;
+         for (const msgI in lmSession.messages) {
+            const msg = lmSession.messages[msgI];
             if (msg.id.toLowerCase() == assistantId.toLowerCase()) {
-               delete session.lmSession.messages[msgI];
-               console.log("Deleted latest assistant message", assistantId);
+               delete lmSession.messages[msgI];
+               console.log("Deleted latest assistant message for retry", assistantId);
             }
          }
       }
 
-      const response = await this.lmarena.makeAuthedRequest({
-         url: url,
-         method: retry ? "PUT" : "POST", // yes the api is this pedantic
-         headers: {
-            Referer: `https://lmarena.ai/c/${session.sessionId}`
-         },
-         body: JSON.stringify(payload)
-      });
+      let response;
+      try {
+         response = await this.lmarena.makeAuthedRequest({
+            ...this.protocol.buildRequest(session, retry),
+            signal: watchdog.signal
+         });
+      } catch (err) {
+         // Timeouts and the caller's abort are handled by `runInference`
+         if (watchdog.signal.aborted) throw err;
+         yield errorEvent(asNetworkError(err));
+         yield { event: "ad", data: "err" };
+         return;
+      }
 
       if (!response.ok) {
-         const errorText = await response.text();
-         if (response.status === 422) {
-            const jBody = JSON.parse(errorText);
-            yield {
-               event: "c0",
-               data: "Error: Prompt violates [LMArena ToS](https://lmarena.ai/terms-of-use)"
-            };
-            yield { event: "ad", data: "err" };
-            return;
-         } else if (response.status === 429) {
-            if (
-               response.headers.has("ratelimit-modality") &&
-               response.headers.get("ratelimit-modality") === "image" // removed policy check since they keep changing the rules
-            ) {
-               // LMArena update: anon sessions can only generate (not 3) 1 image to intice you to make an account
-               const couldUpdateAuth = await this.lmarena.updateArenaAuth();
-               if (couldUpdateAuth) {
-                  yield {
-                     event: "a0",
-                     data: "Anonymous image ratelimit reached, got new session. Try again."
-                  };
-                  yield { event: "ad", data: "retry" };
-               } else {
-                  yield {
-                     event: "a0",
-                     data: "Anonymous image ratelimit reached, but could not refresh token."
-                  };
-                  yield { event: "ad", data: "err" };
-               }
-               return;
-            }
-         } else {
-            if (errorText.startsWith('{"error":')) {
-               const jBody = JSON.parse(errorText);
-               yield { event: "a0", data: `Error: ${jBody.error}` };
-               yield { event: "ad", data: "err" };
-               return;
-            }
-         }
+         yield errorEvent(await arenaErrorFromResponse(response));
+         yield { event: "ad", data: "err" };
          return;
       }
+      watchdog.responded = true;
+      this.protocolConfirmed = true;
 
       if (!session.doesSessionExist) {
          session.doesSessionExist = true;
       }
 
-      const assistantMessageForTurn = payload.messages.find(
-         (msg) => msg.id && msg.id === payload.modelAMessageId
-      );
-
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = "";
-
-      // Function to process a single line from the stream
-      const processLine = (line) => {
-         if (line.length < 4) return null; // A valid line like a0:"" is at least 4 chars
-
-         const eventCode = line.substring(0, 2);
-         const firstColonIndex = line.indexOf(":");
-         if (firstColonIndex === -1) return null; // Malformed line
-
-         const payloadString = line.substring(firstColonIndex + 1);
-
-         try {
-            const data = JSON.parse(payloadString);
-            if (eventCode === "a0" && typeof data === "string") {
-               assistantMessageForTurn.content += data;
-            } else if (eventCode === "a2") {
-               // data, parse it further
-               for (const item of data) {
-                  if (item.type === "image") {
-                     // Add the image attachment (image property is the R2 url, mimeType is mime) to assistant message
-                     assistantMessageForTurn.experimental_attachments.push({
-                        contentType: item.mimeType,
-                        name: item.name || "image",
-                        url: item.image
-                     });
-                  }
-               }
-            } else if (eventCode === "ad") {
-               assistantMessageForTurn.status = "success";
-            }
-            return { event: eventCode, data };
-         } catch (e) {
-            console.error(
-               `Failed to parse payload for event [${eventCode}]:`,
-               payloadString
-            );
-            return null;
+      // The reply is streamed into the assistant message, created here if the protocol doesn't send it
+      const findOrCreateAssistant = (id, participantPosition) => {
+         let message = lmSession.messages.find((msg) => msg?.id && msg.id === id);
+         if (!message) {
+            message = {
+               id,
+               role: "assistant",
+               content: "",
+               evaluationSessionId: session.sessionId,
+               parentMessageIds: [lmSession.userMessageId],
+               participantPosition,
+               experimental_attachments: [],
+               status: "pending"
+            };
+            lmSession.messages.push(message);
          }
+         return message;
       };
+      // Events are prefixed with the participant they belong to, "a" or "b" in a battle
+      const assistantMessages = {
+         a: findOrCreateAssistant(lmSession.modelAMessageId, "a")
+      };
+      if (lmSession.modelBMessageId) {
+         assistantMessages.b = findOrCreateAssistant(lmSession.modelBMessageId, "b");
+      }
 
-      try {
-         while (true) {
-            const { done, value } = await reader.read();
-            if (done) {
-               // --- HANDLE LEFTOVERS ---
-               // If the stream ends and there's still content in the buffer without a trailing newline, process it.
-               if (buffer) {
-                  const result = processLine(buffer);
-                  if (result) yield result;
-               }
-               break; // Exit the loop
-            }
-
-            buffer += decoder.decode(value, { stream: true });
-
-            // --- PROCESS LINE BY LINE ---
-            let boundary = buffer.indexOf("\n");
-            while (boundary !== -1) {
-               const line = buffer.substring(0, boundary).trim();
-               buffer = buffer.substring(boundary + 1);
-
-               if (line) {
-                  // Process only non-empty lines
-                  const result = processLine(line);
-                  if (result) yield result;
-               }
-
-               boundary = buffer.indexOf("\n");
-            }
-         }
-      } finally {
-         reader.releaseLock();
+      const parser = new ArenaStreamParser(assistantMessages);
+      for await (const chunk of parser.read(response, { signal: watchdog.signal, onChunk: () => watchdog.onChunk() })) {
+         if (!BOOKKEEPING_EVENT_CODES.has(chunk.event[1])) watchdog.onToken();
+         yield chunk;
       }
    }
 
-   async *runInferenceV2(session, messagesOverride = null, retry = false) {
-      // 1. Handle Message Overrides (History reconstruction)
-      if (messagesOverride) {
-         session.messages = [];
-         session.lmSession.messages = [];
-         for (const msg of messagesOverride) {
-            await this.sendMessage(session, msg);
+   /**
+    * `runInference` for the video modality. When the stream ends on a video that's still rendering, the message
+    * is polled until the video is there: progress comes through as `a8` events and the video as a normal `a2` item.
+    * @param {Types.ChatSession} session
+    * @param {boolean} [retry=false]
+    * @param {Object} [opts] See `runInference`, `signal` also stops the polling
+    * @param {AbortSignal} [opts.signal]
+    * @param {StreamTimeouts} [opts.timeouts]
+    * @param {RetryPolicy} [opts.retryPolicy]
+    */
+   async *runVideoInference(session, retry = false, { signal, timeouts, retryPolicy } = {}) {
+      let finish = null;
+      for await (const chunk of this.runInference(session, null, retry, { signal, timeouts, retryPolicy })) {
+         if (chunk.event === "ad") {
+            finish = chunk;
+            break;
          }
+         yield chunk;
       }
-   
-      // 2. Determine URL and HTTP Method
-      let url;
-      if (!session.doesSessionExist) {
-         url = "https://lmarena.ai/nextjs-api/stream/create-evaluation";
-      } else {
-         url = `https://lmarena.ai/nextjs-api/stream/post-to-evaluation/${session.sessionId}`;
-      }
-   
-      // 3. Construct the Payload based on new API spec
-      // Find the most recent user message to send in this turn
-      const currentUserMsg = session.lmSession.messages.find(
-         m => m.id === session.lmSession.userMessageId
-      );
-   
-      // Determine modality (simple check, can be expanded based on attachments)
-      const modality = session.lmSession.modality || "chat";
-   
-      let payload = {
-         id: session.sessionId,
-         mode: "direct", // Assuming 'direct' is standard for this flow
-         modelAId: session.lmSession.modelAId,
-         userMessageId: session.lmSession.userMessageId,
-         modelAMessageId: session.lmSession.modelAMessageId,
-         userMessage: {
-            content: currentUserMsg ? currentUserMsg.content : "",
-            experimental_attachments: currentUserMsg ? (currentUserMsg.experimental_attachments || []) : []
-         },
-         modality: modality,
-         featureFlags: {
-            editImageButtonEnabled: "control"
-         }
-      };
-   
-      // 4. Handle Retry Logic
-      if (retry) {
-         const assistantId = session.lmSession.modelAMessageId;
-         url = `https://lmarena.ai/nextjs-api/stream/retry-evaluation-session-message/${session.sessionId}/messages/${assistantId}`;
-         
-         // For retry, we keep the payload mostly the same but target the retry endpoint.
-         // The original code removed the assistant message from local history to parity official state.
-         for (const msgI in session.lmSession.messages) {
-            const msg = session.lmSession.messages[msgI];
-            if (msg.id.toLowerCase() == assistantId.toLowerCase()) {
-               delete session.lmSession.messages[msgI];
-               console.log("Deleted latest assistant message for retry", assistantId);
-            }
-         }
+      if (finish && typeof finish.data === "string") {
+         // Failed, nothing to wait for
+         yield finish;
+         return;
       }
-   
-      // 5. Make Request
-      const response = await this.lmarena.makeAuthedRequest({
-         url: url,
-         method: retry ? "PUT" : "POST",
-         headers: {
-            "Referer": `https://lmarena.ai/c/${session.sessionId}`,
-            "Content-Type": "application/json"
-         },
-         body: JSON.stringify(payload)
-      });
-   
-      // 6. Error Handling
-      if (!response.ok) {
-         const errorText = await response.text();
-         if (response.status === 422) {
-            yield {
-               event: "c0",
-               data: "Error: Prompt violates [LMArena ToS](https://lmarena.ai/terms-of-use)"
-            };
-            yield { event: "ad", data: "err" };
-            return;
-         } else if (response.status === 429) {
-            if (
-               response.headers.has("ratelimit-modality") &&
-               response.headers.get("ratelimit-modality") === "image"
-            ) {
-               const couldUpdateAuth = await this.lmarena.updateArenaAuth();
-               if (couldUpdateAuth) {
-                  yield {
-                     event: "a0",
-                     data: "Anonymous image ratelimit reached, got new session. Try again."
-                  };
-                  yield { event: "ad", data: "retry" };
-               } else {
-                  yield {
-                     event: "a0",
-                     data: "Anonymous image ratelimit reached, but could not refresh token."
-                  };
-                  yield { event: "ad", data: "err" };
-               }
-               return;
-            }
-         } else {
-            if (errorText.startsWith('{"error":')) {
-               const jBody = JSON.parse(errorText);
-               yield { event: "a0", data: `Error: ${jBody.error}` };
+      const assistant = this.getMessage(session, session.lmSession.modelAMessageId);
+      const hasVideo = assistant?.experimental_attachments.some((a) => a.contentType?.startsWith("video/"));
+      if (assistant?.videoJob && !hasVideo) {
+         for await (const chunk of this.pollVideo(session, assistant, signal)) {
+            yield chunk;
+            if (isErrorEvent(chunk)) {
                yield { event: "ad", data: "err" };
                return;
             }
          }
-         return;
-      }
-   
-      if (!session.doesSessionExist) {
-         session.doesSessionExist = true;
       }
-   
-      // 7. Prepare for Stream Processing
-      // We need to find or create the assistant message placeholder in our local session to append chunks to
-      let assistantMessageForTurn = session.lmSession.messages.find(
-         (msg) => msg.id && msg.id === payload.modelAMessageId
-      );
-   
-      // If it doesn't exist (first chunk), create it structure locally
-      if (!assistantMessageForTurn) {
-         assistantMessageForTurn = {
-            id: payload.modelAMessageId,
-            role: "assistant",
-            content: "",
-            experimental_attachments: [],
-            status: "pending"
-         };
-         session.lmSession.messages.push(assistantMessageForTurn);
-      }
-   
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = "";
-   
-      // Function to process a single line from the stream
-      const processLine = (line) => {
-         if (line.length < 4) return null; 
-   
-         const eventCode = line.substring(0, 2);
-         const firstColonIndex = line.indexOf(":");
-         if (firstColonIndex === -1) return null;
-   
-         const payloadString = line.substring(firstColonIndex + 1);
-   
+      yield finish ?? { event: "ad", data: { finishReason: "stop" } };
+   }
+
+   /**
+    * Poll an assistant message until its video is rendered, ends on an `ax` event if that doesn't happen
+    * @param {Types.ChatSession} session
+    * @param {any} assistant
+    * @param {AbortSignal} [signal]
+    */
+   async *pollVideo(session, assistant, signal = undefined) {
+      const deadline = Date.now() + VIDEO_POLL_TIMEOUT_MS;
+      while (Date.now() < deadline) {
+         await sleep(VIDEO_POLL_INTERVAL_MS, undefined, { signal });
+         let response;
          try {
-            const data = JSON.parse(payloadString);
-            if (eventCode === "a0" && typeof data === "string") {
-               assistantMessageForTurn.content += data;
-            } else if (eventCode === "a2") {
-               for (const item of data) {
-                  if (item.type === "image") {
-                     assistantMessageForTurn.experimental_attachments.push({
-                        contentType: item.mimeType,
-                        name: item.name || "image",
-                        url: item.image
-                     });
-                  }
-               }
-            } else if (eventCode === "ad") {
-               assistantMessageForTurn.status = "success";
-            }
-            return { event: eventCode, data };
-         } catch (e) {
-            console.error(
-               `Failed to parse payload for event [${eventCode}]:`,
-               payloadString
+            response = await this.lmarena.makeAuthedRequest({
+               url: `https://lmarena.ai/nextjs-api/evaluation/${session.sessionId}/messages/${assistant.id}`,
+               method: "GET",
+               headers: {
+                  "Referer": `https://lmarena.ai/c/${session.sessionId}`
+               },
+               signal
+            });
+         } catch (err) {
+            if (signal?.aborted) throw err;
+            yield errorEvent(asNetworkError(err), "a");
+            return;
+         }
+         if (!response.ok) {
+            yield errorEvent(await arenaErrorFromResponse(response), "a");
+            return;
+         }
+         const text = await response.text();
+         let polled;
+         try {
+            polled = JSON.parse(text);
+         } catch {
+            yield errorEvent(
+               new ParseError("Failed to read the video's status.", { status: response.status, body: text }),
+               "a"
             );
-            return null;
+            return;
          }
-      };
-   
-      try {
-         while (true) {
-            const { done, value } = await reader.read();
-            if (done) {
-               if (buffer) {
-                  const result = processLine(buffer);
-                  if (result) yield result;
-               }
-               break;
-            }
-   
-            buffer += decoder.decode(value, { stream: true });
-   
-            let boundary = buffer.indexOf("\n");
-            while (boundary !== -1) {
-               const line = buffer.substring(0, boundary).trim();
-               buffer = buffer.substring(boundary + 1);
-   
-               if (line) {
-                  const result = processLine(line);
-                  if (result) yield result;
-               }
-   
-               boundary = buffer.indexOf("\n");
-            }
+         const videos = (polled.experimental_attachments ?? polled.attachments ?? []).filter(
+            (a) => a.contentType?.startsWith("video/")
+         );
+         if (videos.length > 0) {
+            assistant.experimental_attachments.push(...videos);
+            assistant.status = "success";
+            delete assistant.videoJob;
+            yield {
+               event: "a2",
+               data: videos.map((v) => ({
+                  type: "video",
+                  video: v.url,
+                  mimeType: v.contentType,
+                  name: v.name
+               }))
+            };
+            return;
          }
-      } finally {
-         reader.releaseLock();
+         if (polled.status === "failed" || polled.status === "error") {
+            const message = typeof polled.error === "string" ? polled.error : "Video generation failed.";
+            yield errorEvent(new UpstreamProviderError(message, { body: text }), "a");
+            return;
+         }
+         assistant.videoJob = {
+            ...assistant.videoJob,
+            status: polled.status ?? assistant.videoJob.status,
+            progress: polled.progress ?? assistant.videoJob.progress
+         };
+         yield { event: "a8", data: [{ type: "video-progress", ...assistant.videoJob }] };
       }
+      yield errorEvent(
+         new UpstreamProviderError("Timed out waiting for the video.", {
+            retryable: true,
+            details: { timeout: "video", limitMs: VIDEO_POLL_TIMEOUT_MS }
+         }),
+         "a"
+      );
    }
 
-   async sendMessage(session, message) {
+   /**
+    * Add a message to the session
+    * @param {Types.ChatSession} session
+    * @param {Types.ChatMessage} message
+    * @param {string | null} [parentId] Message to reply to, defaults to the head of the active branch.
+    * Anything other than the head starts a new branch, null branches from the very start.
+    */
+   async sendMessage(session, message, parentId = undefined) {
       if (!message.id) message.id = randomUUID();
       if (!message.attachments) message.attachments = [];
 
-      const lastMessage =
-         session.lmSession.messages.length > 0
-            ? session.lmSession.messages[session.lmSession.messages.length - 1]
-            : null;
-      const parentMessageId = lastMessage ? lastMessage.id : undefined;
+      const parent =
+         parentId === undefined
+            ? this.getHeadMessage(session)
+            : parentId === null
+              ? null
+              : this.getMessage(session, parentId);
+      if (parentId && !parent) {
+         throw new Error(`Message ${parentId} does not exist in this session.`);
+      }
+      const history = parent ? this.getBranchPath(session, parent.id) : [];
+      const forked = this.prepareEvaluation(session, parent, history);
 
       const lmMessage = await this.convertChatMessageToLMMessage(
          session,
          message
       );
-      if (parentMessageId) {
-         lmMessage.parentMessageIds = [parentMessageId];
-      } else {
-         lmMessage.parentMessageIds = [];
+      lmMessage.parentMessageIds = parent ? [parent.id] : [];
+      if (forked && message.role === "user" && history.length > 0) {
+         // The new evaluation starts empty on the arena's side, so the branch so far rides along with the first message
+         lmMessage.content = this.buildReplayContent(session, history, message);
+         const historyAttachments = history.flatMap((m) =>
+            m.role === "assistant" ? [] : m.experimental_attachments ?? []
+         );
+         for (const att of historyAttachments) {
+            // Uploaded attachments are named after their R2 key, their URLs may have expired since that turn
+            if (att.name) att.url = await this.refreshR2Url(session, att.name, att.url);
+         }
+         lmMessage.experimental_attachments = [
+            ...historyAttachments,
+            ...lmMessage.experimental_attachments
+         ];
       }
       session.messages.push(message);
       session.lmSession.messages.push(lmMessage);
+      session.headMessageId = message.id;
 
       if (message.role === "user") {
          const assistantMessageId = randomUUID();
@@ -650,21 +956,199 @@ export class SessionManager {
             message.id,
             assistantMessageId
          );
+         if (session.lmSession.modelBId) {
+            const modelBMessageId = randomUUID();
+            await this.addFillerAssistantMessage(
+               session,
+               message.id,
+               modelBMessageId,
+               "b"
+            );
+            session.lmSession.modelBMessageId = modelBMessageId;
+         }
 
          session.lmSession.userMessageId = message.id;
          session.lmSession.modelAMessageId = assistantMessageId;
+         // Battles continue from model A's side, B's reply stays a sibling
+         session.headMessageId = assistantMessageId;
       }
    }
 
-   async addFillerAssistantMessage(session, replyingToId, assistantMessageId) {
+   /**
+    * Replace an earlier user message, the new message becomes a sibling of the old one on a new branch
+    * @param {Types.ChatSession} session
+    * @param {string} messageId User message to edit
+    * @param {Types.ChatMessage} message Replacement, must not reuse the edited message's ID
+    */
+   async editMessage(session, messageId, message) {
+      const original = this.getMessage(session, messageId);
+      if (!original) {
+         throw new Error(`Message ${messageId} does not exist in this session.`);
+      }
+      if (original.role !== "user") {
+         throw new Error("Only user messages can be edited.");
+      }
+      await this.sendMessage(session, message, original.parentMessageIds?.[0] ?? null);
+   }
+
+   /**
+    * Make the branch containing `messageId` the active one, following the newest reply below it
+    * @param {Types.ChatSession} session
+    * @param {string} messageId
+    */
+   switchBranch(session, messageId) {
+      let head = this.getMessage(session, messageId);
+      if (!head) {
+         throw new Error(`Message ${messageId} does not exist in this session.`);
+      }
+      let children;
+      while ((children = this.getChildren(session, head.id)).length > 0) {
+         // Battle conversations carry on from model A's reply
+         head = children.findLast((m) => m.participantPosition !== "b") ?? children[children.length - 1];
+      }
+      session.headMessageId = head.id;
+
+      // Retries and follow-ups go to the evaluation this branch lives in
+      const path = this.getBranchPath(session, head.id);
+      const lastUser = path.findLast((m) => m.role === "user");
+      const lastAssistant = path.findLast((m) => m.role === "assistant");
+      session.lmSession.userMessageId = lastUser?.id ?? "";
+      session.lmSession.modelAMessageId = lastAssistant?.id ?? "";
+      if (head.evaluationSessionId && head.evaluationSessionId !== session.sessionId) {
+         session.sessionId = head.evaluationSessionId;
+         session.lmSession.id = head.evaluationSessionId;
+         session.doesSessionExist = path.some(
+            (m) => m.role === "assistant" && m.status === "success" && m.evaluationSessionId === head.evaluationSessionId
+         );
+      }
+   }
+
+   /**
+    * @param {Types.ChatSession} session
+    * @param {string} messageId
+    */
+   getMessage(session, messageId) {
+      // Retries leave holes in the array
+      return session.lmSession.messages.find((m) => m?.id === messageId) ?? null;
+   }
+
+   /**
+    * Latest message of the active branch, the last message added if no branch was ever picked
+    * @param {Types.ChatSession} session
+    */
+   getHeadMessage(session) {
+      if (session.headMessageId) {
+         const head = this.getMessage(session, session.headMessageId);
+         if (head) return head;
+      }
+      return session.lmSession.messages.findLast(Boolean) ?? null;
+   }
+
+   /**
+    * Replies to a message in the order they were made
+    * @param {Types.ChatSession} session
+    * @param {string} messageId
+    */
+   getChildren(session, messageId) {
+      return session.lmSession.messages.filter((m) => m?.parentMessageIds?.[0] === messageId);
+   }
+
+   /**
+    * Messages from the start of the conversation down to `leafId`
+    * @param {Types.ChatSession} session
+    * @param {string} [leafId] Defaults to the head of the active branch
+    */
+   getBranchPath(session, leafId = this.getHeadMessage(session)?.id) {
+      const path = [];
+      let current = leafId ? this.getMessage(session, leafId) : null;
+      while (current) {
+         path.unshift(current);
+         const parentId = current.parentMessageIds?.[0];
+         current = parentId ? this.getMessage(session, parentId) : null;
+      }
+      return path;
+   }
+
+   /**
+    * The whole message tree, multiple roots happen when the first message was edited
+    * @param {Types.ChatSession} session
+    * @returns {Array<BranchNode>}
+    */
+   getBranchTree(session) {
+      const active = new Set(this.getBranchPath(session).map((m) => m.id));
+      const build = (m) => ({
+         id: m.id,
+         role: m.role,
+         content: this.getDisplayContent(session, m),
+         active: active.has(m.id),
+         children: this.getChildren(session, m.id).map(build)
+      });
+      return session.lmSession.messages
+         .filter((m) => m && !m.parentMessageIds?.[0])
+         .map(build);
+   }
+
+   /**
+    * Content as the user wrote it, replayed messages carry the branch history in their lmMessage
+    * @param {Types.ChatSession} session
+    * @param {any} lmMessage
+    */
+   getDisplayContent(session, lmMessage) {
+      return session.messages.find((m) => m.id === lmMessage.id)?.content ?? lmMessage.content;
+   }
+
+   /**
+    * The arena keeps one linear history per evaluation, so a message that doesn't follow the last message of
+    * its parent's evaluation has to go to a new one
+    * @param {Types.ChatSession} session
+    * @param {any | null} parent
+    * @param {Array<any>} history Path down to `parent`
+    * @returns {boolean} Whether a new evaluation was started
+    */
+   prepareEvaluation(session, parent, history) {
+      const messages = session.lmSession.messages.filter(Boolean);
+      if (messages.length === 0) return false;
+      const evaluationId = parent?.evaluationSessionId ?? session.sessionId;
+      const lastInEvaluation = messages.findLast(
+         (m) => (m.evaluationSessionId ?? session.sessionId) === evaluationId && m.participantPosition !== "b"
+      );
+      if (parent && lastInEvaluation?.id === parent.id) {
+         if (evaluationId !== session.sessionId) {
+            session.sessionId = evaluationId;
+            session.lmSession.id = evaluationId;
+            session.doesSessionExist = history.some(
+               (m) => m.role === "assistant" && m.status === "success" && m.evaluationSessionId === evaluationId
+            );
+         }
+         return false;
+      }
+      session.sessionId = randomUUID();
+      session.lmSession.id = session.sessionId;
+      session.doesSessionExist = false;
+      return true;
+   }
+
+   /**
+    * Flatten a branch's history and the new message into one prompt for a fresh evaluation
+    * @param {Types.ChatSession} session
+    * @param {Array<any>} history
+    * @param {Types.ChatMessage} message
+    */
+   buildReplayContent(session, history, message) {
+      const turns = history.map((m) => ({ role: m.role, content: this.getDisplayContent(session, m) }));
+      turns.push({ role: message.role, content: message.content });
+      return formatTranscript(turns);
+   }
+
+   async addFillerAssistantMessage(session, replyingToId, assistantMessageId, participantPosition = "a") {
       const fillerMessage = {
          id: assistantMessageId,
          content: "", // Start with empty content
          evaluationSessionId: session.sessionId,
          role: "assistant",
-         modelId: session.lmSession.modelAId,
+         modelId: participantPosition === "b" ? session.lmSession.modelBId : session.lmSession.modelAId,
          parentMessageIds: [replyingToId],
-         participantPosition: "a",
+         participantPosition,
          status: "pending",
          experimental_attachments: []
       };
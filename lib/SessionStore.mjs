@@ -0,0 +1,236 @@
+// SessionStore.mjs
+// Persists chat sessions and the Discord state that points at them, so conversations and their buttons survive restarts
+
+import { JsonFileStore, dataFile } from "./JsonFileStore.mjs";
+
+const STORE_PATH = dataFile("sessions.json");
+
+// Conversations nobody touched for this long are dropped
+const SESSION_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+// Sessions change on every streamed turn, batch the writes
+const FLUSH_DELAY_MS = 1000;
+
+/**
+ * @typedef {import('types/lmarena').ChatSession} ChatSession
+ * @typedef {import('types/lmarena').Attachment} Attachment
+ */
+
+/**
+ * Attachment as stored, the R2 key is enough to send it again so the bytes are only kept if it was never uploaded
+ * @typedef {Object} StoredAttachment
+ * @property {string} mime
+ * @property {string | null} r2Key
+ * @property {string | null} r2BucketUrl
+ * @property {string} [content] base64, only present if the attachment wasn't uploaded
+ */
+
+/**
+ * @typedef {Object} StoredSession
+ * @property {any} session ChatSession with its attachments converted to `StoredAttachment`s
+ * @property {number} updatedAt
+ */
+
+/**
+ * Record owned by a caller (the Discord command, thread listeners), tied to a session so it expires with it
+ * @typedef {Object} StoredRecord
+ * @property {string | null} conversationId
+ * @property {any} value
+ */
+
+/**
+ * @param {Attachment} att
+ * @returns {StoredAttachment}
+ */
+export function serializeAttachment(att) {
+   const stored = {
+      mime: att.mime,
+      r2Key: att.r2Key ?? null,
+      r2BucketUrl: att.r2BucketUrl ?? null
+   };
+   if (stored.r2BucketUrl === null && att.content) {
+      stored.content = Buffer.from(att.content).toString("base64");
+   }
+   return stored;
+}
+
+/**
+ * @param {StoredAttachment} stored
+ * @returns {Attachment}
+ */
+export function deserializeAttachment(stored) {
+   return {
+      mime: stored.mime,
+      content: stored.content ? Buffer.from(stored.content, "base64") : null,
+      r2Key: stored.r2Key,
+      r2BucketUrl: stored.r2BucketUrl
+   };
+}
+
+/**
+ * @param {any} message ChatMessage
+ */
+export function serializeMessage(message) {
+   return { ...message, attachments: (message.attachments ?? []).map(serializeAttachment) };
+}
+
+/**
+ * @param {any} stored
+ */
+export function deserializeMessage(stored) {
+   return { ...stored, attachments: (stored.attachments ?? []).map(deserializeAttachment) };
+}
+
+/**
+ * @param {ChatSession} session
+ */
+export function serializeSession(session) {
+   return {
+      ...session,
+      lmSession: {
+         ...session.lmSession,
+         // Retries delete the old reply in place, leaving holes
+         messages: (session.lmSession.messages ?? []).filter(Boolean)
+      },
+      messages: session.messages.map(serializeMessage)
+   };
+}
+
+/**
+ * @param {any} stored
+ * @returns {ChatSession}
+ */
+export function deserializeSession(stored) {
+   return {
+      ...stored,
+      lmSession: structuredClone(stored.lmSession),
+      messages: stored.messages.map(deserializeMessage)
+   };
+}
+
+/**
+ * Sessions are stored under their conversation ID, the session ID changes when a conversation branches
+ * @param {ChatSession} session
+ */
+const storeKey = (session) => session.conversationId ?? session.sessionId;
+
+export class SessionStore extends JsonFileStore {
+   constructor(filePath = STORE_PATH) {
+      super(filePath, { flushDelayMs: FLUSH_DELAY_MS });
+      /** @type {Map<string, StoredSession>} */
+      this.sessions = new Map();
+      /** @type {Map<string, Map<string, StoredRecord>>} */
+      this.collections = new Map();
+      // Live sessions are serialized at flush time so the file always has their latest turn
+      /** @type {Map<string, ChatSession>} */
+      this.dirty = new Map();
+      this.load();
+   }
+
+   load() {
+      const parsed = this.readFile();
+      for (const [id, stored] of Object.entries(parsed?.sessions ?? {})) {
+         this.sessions.set(id, stored);
+      }
+      for (const [name, records] of Object.entries(parsed?.collections ?? {})) {
+         this.collections.set(name, new Map(Object.entries(records)));
+      }
+      this.prune();
+   }
+
+   serialize() {
+      for (const [id, session] of this.dirty) {
+         this.sessions.set(id, { session: serializeSession(session), updatedAt: Date.now() });
+      }
+      this.dirty.clear();
+      this.prune();
+
+      const collections = {};
+      for (const [name, records] of this.collections) {
+         collections[name] = Object.fromEntries(records);
+      }
+      return { sessions: Object.fromEntries(this.sessions), collections };
+   }
+
+   /**
+    * Drop expired sessions and every record that points at a session that's gone
+    */
+   prune() {
+      const cutoff = Date.now() - SESSION_TTL_MS;
+      for (const [id, stored] of this.sessions) {
+         if (stored.updatedAt < cutoff && !this.dirty.has(id)) this.sessions.delete(id);
+      }
+      for (const records of this.collections.values()) {
+         for (const [key, record] of records) {
+            const id = record.conversationId;
+            if (id && !this.sessions.has(id) && !this.dirty.has(id)) {
+               records.delete(key);
+            }
+         }
+      }
+   }
+
+   /**
+    * Queue a session to be written, call after every turn
+    * @param {ChatSession} session
+    */
+   saveSession(session) {
+      this.dirty.set(storeKey(session), session);
+      this.scheduleSave();
+   }
+
+   /**
+    * @param {string} conversationId
+    * @returns {ChatSession | null} A fresh copy of the stored session
+    */
+   restoreSession(conversationId) {
+      // Not flushed yet, round-trip it like a flush would so nothing is shared with the live session
+      const live = this.dirty.get(conversationId);
+      if (live) return deserializeSession(JSON.parse(JSON.stringify(serializeSession(live))));
+      const stored = this.sessions.get(conversationId);
+      return stored ? deserializeSession(stored.session) : null;
+   }
+
+   /**
+    * @param {string} collection
+    * @param {string} key
+    * @param {any} value Must be JSON-serializable
+    * @param {ChatSession | null} [session=null] Session the record belongs to, saved alongside it
+    */
+   set(collection, key, value, session = null) {
+      if (!this.collections.has(collection)) this.collections.set(collection, new Map());
+      this.collections.get(collection).set(key, {
+         conversationId: session ? storeKey(session) : null,
+         value
+      });
+      if (session) this.dirty.set(storeKey(session), session);
+      this.scheduleSave();
+   }
+
+   /**
+    * @param {string} collection
+    * @param {string} key
+    */
+   delete(collection, key) {
+      if (this.collections.get(collection)?.delete(key)) this.scheduleSave();
+   }
+
+   /**
+    * @param {string} collection
+    * @returns {Array<[string, StoredRecord]>}
+    */
+   entries(collection) {
+      return Array.from(this.collections.get(collection)?.entries() ?? []);
+   }
+}
+
+let sessionStoreInstance = null;
+
+/**
+ * @returns {SessionStore}
+ */
+export function getSessionStore() {
+   if (!sessionStoreInstance) {
+      sessionStoreInstance = new SessionStore();
+   }
+   return sessionStoreInstance;
+}
@@ -0,0 +1,327 @@
+// StructuredOutput.mjs
+// JSON Schema mode for arena models, which have no native response_format: the schema goes in the prompt,
+// JSON is pulled out of the reply and validated, and failures are sent back to the model to fix
+
+import { arenaErrorFromData, isErrorEvent } from "./ArenaErrors.mjs";
+
+/**
+ * @typedef {Object} StructuredAttempt
+ * @property {string} text Raw reply text
+ * @property {Array<string>} errors Why the reply was rejected, empty for the accepted attempt
+ * @property {number} outputTokens
+ */
+
+/**
+ * @typedef {Object} StructuredResult
+ * @property {any} value Parsed JSON that conforms to the schema
+ * @property {string} text Raw text of the accepted reply
+ * @property {Array<StructuredAttempt>} attempts Every attempt, the last one is the accepted reply
+ */
+
+// Errors listed in a repair prompt, the rest are summarised
+const MAX_REPORTED_ERRORS = 10;
+
+/**
+ * Thrown when the model still doesn't produce conforming JSON after the last repair attempt
+ */
+export class StructuredOutputError extends Error {
+   /**
+    * @param {Array<StructuredAttempt>} attempts
+    */
+   constructor(attempts) {
+      const last = attempts[attempts.length - 1];
+      super(
+         `The model did not produce JSON matching the schema after ${attempts.length} attempt(s): ${last.errors.join("; ")}`
+      );
+      this.name = "StructuredOutputError";
+      this.attempts = attempts;
+   }
+}
+
+/**
+ * The schema itself can't be used, thrown before anything is sent to the model
+ */
+export class SchemaError extends Error {
+   /**
+    * @param {string} message
+    */
+   constructor(message) {
+      super(message);
+      this.name = "SchemaError";
+   }
+}
+
+// `pattern`s by the schema node they belong to, see `compileSchema`
+const compiledPatterns = new WeakMap();
+
+/**
+ * @param {any} schema Schema node with a `pattern`
+ * @param {string} path
+ * @returns {RegExp}
+ */
+function compilePattern(schema, path) {
+   let regex = compiledPatterns.get(schema);
+   if (!regex) {
+      try {
+         regex = new RegExp(schema.pattern, "u");
+      } catch (e) {
+         throw new SchemaError(`${path}.pattern is not a valid regular expression: ${e.message}`);
+      }
+      compiledPatterns.set(schema, regex);
+   }
+   return regex;
+}
+
+/**
+ * Check a schema and compile its patterns once, so a broken schema is rejected up front instead of failing
+ * in the middle of validating a reply
+ * @param {any} schema
+ * @param {string} [path="$"]
+ * @throws {SchemaError}
+ */
+export function compileSchema(schema, path = "$") {
+   if (typeof schema !== "object" || schema === null) return;
+   if (schema.pattern !== undefined) compilePattern(schema, path);
+   for (const key of ["properties", "$defs", "definitions"]) {
+      for (const [name, sub] of Object.entries(schema[key] ?? {})) compileSchema(sub, `${path}.${key}.${name}`);
+   }
+   for (const key of ["items", "additionalProperties"]) {
+      compileSchema(schema[key], `${path}.${key}`);
+   }
+   for (const key of ["allOf", "anyOf", "oneOf"]) {
+      if (Array.isArray(schema[key])) schema[key].forEach((sub, i) => compileSchema(sub, `${path}.${key}[${i}]`));
+   }
+}
+
+/**
+ * Instructions appended to the user's message
+ * @param {object} schema
+ */
+export function buildSchemaPrompt(schema) {
+   return [
+      "Reply with only a JSON value that conforms to the JSON Schema below. Do not add any prose before or after the JSON.",
+      "```json",
+      JSON.stringify(schema, null, 2),
+      "```"
+   ].join("\n");
+}
+
+/**
+ * Follow-up message asking the model to fix a rejected reply
+ * @param {Array<string>} errors
+ */
+export function buildRepairPrompt(errors) {
+   const listed = errors.slice(0, MAX_REPORTED_ERRORS).map((e) => `- ${e}`);
+   if (errors.length > MAX_REPORTED_ERRORS) {
+      listed.push(`- ...and ${errors.length - MAX_REPORTED_ERRORS} more`);
+   }
+   return [
+      "Your previous reply did not match the JSON Schema:",
+      ...listed,
+      "Reply again with only the corrected JSON."
+   ].join("\n");
+}
+
+/**
+ * Find the end of the JSON object or array starting at `start`, skipping brackets inside strings
+ * @param {string} text
+ * @param {number} start
+ * @returns {number} Index one past the closing bracket, -1 if it never closes
+ */
+function findJsonEnd(text, start) {
+   let depth = 0;
+   let inString = false;
+   for (let i = start; i < text.length; i++) {
+      const ch = text[i];
+      if (inString) {
+         if (ch === "\\") i++;
+         else if (ch === '"') inString = false;
+      } else if (ch === '"') {
+         inString = true;
+      } else if (ch === "{" || ch === "[") {
+         depth++;
+      } else if (ch === "}" || ch === "]") {
+         depth--;
+         if (depth === 0) return i + 1;
+      }
+   }
+   return -1;
+}
+
+/**
+ * Pull a JSON value out of a reply, models like to wrap it in code fences or prose
+ * @param {string} text
+ * @returns {{ value: any } | { error: string }}
+ */
+export function extractJson(text) {
+   const candidates = [text.trim()];
+   for (const match of text.matchAll(/```(?:json)?\s*\n?([\s\S]*?)```/g)) {
+      candidates.push(match[1].trim());
+   }
+   const start = text.search(/[{[]/);
+   if (start !== -1) {
+      const end = findJsonEnd(text, start);
+      if (end !== -1) candidates.push(text.substring(start, end));
+   }
+   let lastError = "The reply does not contain any JSON.";
+   for (const candidate of candidates) {
+      if (!candidate) continue;
+      try {
+         return { value: JSON.parse(candidate) };
+      } catch (e) {
+         lastError = `The reply is not valid JSON: ${e.message}`;
+      }
+   }
+   return { error: lastError };
+}
+
+/**
+ * @param {any} value
+ * @returns {string}
+ */
+function typeOf(value) {
+   if (value === null) return "null";
+   if (Array.isArray(value)) return "array";
+   if (typeof value === "number" && Number.isInteger(value)) return "integer";
+   return typeof value;
+}
+
+/**
+ * Validate a value against a JSON Schema. Covers the keywords structured output schemas use in practice:
+ * type, enum, const, properties, required, additionalProperties, items, min/maxItems, min/maxLength, pattern,
+ * minimum/maximum, anyOf, oneOf, allOf and local $ref into $defs/definitions
+ * @param {any} value
+ * @param {any} schema
+ * @param {string} [path="$"]
+ * @param {any} [root=schema] Schema that `$ref`s resolve against
+ * @returns {Array<string>} Errors, empty if the value conforms
+ */
+export function validateSchema(value, schema, path = "$", root = schema) {
+   if (schema === true || schema === undefined || schema === null) return [];
+   if (schema === false) return [`${path}: no value is allowed here`];
+
+   if (typeof schema.$ref === "string") {
+      const match = schema.$ref.match(/^#\/(\$defs|definitions)\/(.+)$/);
+      if (!match || !root[match[1]]?.[match[2]]) {
+         return [`${path}: unsupported $ref '${schema.$ref}'`];
+      }
+      return validateSchema(value, root[match[1]][match[2]], path, root);
+   }
+
+   const errors = [];
+   const actual = typeOf(value);
+
+   if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      const matches = types.some(
+         (t) => t === actual || (t === "number" && actual === "integer")
+      );
+      if (!matches) {
+         return [`${path}: expected ${types.join(" or ")}, got ${actual}`];
+      }
+   }
+   if (schema.enum && !schema.enum.some((e) => JSON.stringify(e) === JSON.stringify(value))) {
+      errors.push(`${path}: must be one of ${schema.enum.map((e) => JSON.stringify(e)).join(", ")}`);
+   }
+   if ("const" in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+      errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+   }
+
+   if (actual === "string") {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+         errors.push(`${path}: must be at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+         errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+      }
+      if (schema.pattern !== undefined && !compilePattern(schema, path).test(value)) {
+         errors.push(`${path}: must match the pattern ${schema.pattern}`);
+      }
+   }
+
+   if (actual === "number" || actual === "integer") {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+         errors.push(`${path}: must be >= ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+         errors.push(`${path}: must be <= ${schema.maximum}`);
+      }
+      if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+         errors.push(`${path}: must be > ${schema.exclusiveMinimum}`);
+      }
+      if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+         errors.push(`${path}: must be < ${schema.exclusiveMaximum}`);
+      }
+   }
+
+   if (actual === "array") {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+         errors.push(`${path}: must have at least ${schema.minItems} items`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+         errors.push(`${path}: must have at most ${schema.maxItems} items`);
+      }
+      if (schema.items !== undefined) {
+         value.forEach((item, i) => {
+            errors.push(...validateSchema(item, schema.items, `${path}[${i}]`, root));
+         });
+      }
+   }
+
+   if (actual === "object") {
+      const properties = schema.properties ?? {};
+      for (const key of schema.required ?? []) {
+         if (!(key in value)) errors.push(`${path}: missing required property '${key}'`);
+      }
+      for (const [key, propValue] of Object.entries(value)) {
+         const propPath = `${path}.${key}`;
+         if (key in properties) {
+            errors.push(...validateSchema(propValue, properties[key], propPath, root));
+         } else if (schema.additionalProperties === false) {
+            errors.push(`${propPath}: property is not allowed`);
+         } else if (typeof schema.additionalProperties === "object") {
+            errors.push(...validateSchema(propValue, schema.additionalProperties, propPath, root));
+         }
+      }
+   }
+
+   if (schema.allOf) {
+      for (const sub of schema.allOf) errors.push(...validateSchema(value, sub, path, root));
+   }
+   if (schema.anyOf) {
+      const results = schema.anyOf.map((sub) => validateSchema(value, sub, path, root));
+      if (!results.some((r) => r.length === 0)) {
+         errors.push(`${path}: does not match any of the allowed schemas (${results.map((r) => r[0]).join(" | ")})`);
+      }
+   }
+   if (schema.oneOf) {
+      const passing = schema.oneOf.filter(
+         (sub) => validateSchema(value, sub, path, root).length === 0
+      ).length;
+      if (passing !== 1) {
+         errors.push(`${path}: must match exactly one of the allowed schemas, matched ${passing}`);
+      }
+   }
+   return errors;
+}
+
+/**
+ * Read a reply's text, failures are thrown instead of being returned as text
+ * @param {AsyncIterable<{ event: string, data: any }>} arenaEvents
+ * @returns {Promise<{ text: string, outputTokens: number }>}
+ */
+export async function readReplyText(arenaEvents) {
+   let text = "";
+   let outputTokens = 0;
+   for await (const chunk of arenaEvents) {
+      if (chunk.event === "a0") {
+         text += chunk.data;
+         outputTokens++;
+      } else if (isErrorEvent(chunk)) {
+         throw arenaErrorFromData(chunk.data);
+      } else if (chunk.event === "ad") {
+         break;
+      }
+   }
+   return { text, outputTokens };
+}
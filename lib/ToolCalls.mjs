@@ -0,0 +1,255 @@
+// ToolCalls.mjs
+// Tool/function calling, folds the arena's tool_call stream events into structured calls and
+// emulates tool calling through the prompt for models that don't emit those events
+
+import { randomUUID } from "node:crypto";
+
+/**
+ * @typedef {Object} ToolDefinition
+ * @property {string} name
+ * @property {string} [description]
+ * @property {object} [parameters] JSON schema of the arguments object
+ */
+
+/**
+ * @typedef {Object} ToolCall
+ * @property {string} id
+ * @property {string} name
+ * @property {string} argsText Arguments JSON as streamed so far
+ * @property {any} args Parsed arguments, null until the call is complete
+ * @property {"partial-call" | "call" | "result"} state
+ * @property {any} [result] Set once the arena reports a result for its own tools
+ */
+
+/**
+ * @typedef {"auto" | "required" | "none" | { name: string }} ToolChoice
+ */
+
+/**
+ * @typedef {Object} ToolOptions
+ * @property {Array<ToolDefinition>} [tools] Functions the model may call
+ * @property {ToolChoice} [toolChoice="auto"]
+ * @property {"emulated" | "native"} [toolMode="emulated"] The arena has no way to declare functions,
+ * so tools are described in the prompt unless only the arena's own tool events are wanted
+ */
+
+const OPEN_TAG = "<tool_call>";
+const CLOSE_TAG = "</tool_call>";
+
+export const makeToolCallId = () => `call_${randomUUID().replace(/-/g, "")}`;
+
+/**
+ * Apply a tool event (`9`, `a`, `b` or `c`, without the participant prefix) to a message's tool calls
+ * @param {Array<ToolCall>} toolCalls
+ * @param {string} code
+ * @param {any} data
+ * @returns {ToolCall | null} The affected call, null if the event isn't a tool event
+ */
+export function applyToolEvent(toolCalls, code, data) {
+   const find = () => toolCalls.find((c) => c.id === data.toolCallId);
+   switch (code) {
+      case "b": {
+         const call = {
+            id: data.toolCallId,
+            name: data.toolName,
+            argsText: "",
+            args: null,
+            state: "partial-call"
+         };
+         toolCalls.push(call);
+         return call;
+      }
+      case "c": {
+         const call = find();
+         if (!call) return null;
+         call.argsText += data.argsTextDelta ?? "";
+         return call;
+      }
+      case "9": {
+         let call = find();
+         if (!call) {
+            call = { id: data.toolCallId, name: data.toolName, argsText: "", args: null };
+            toolCalls.push(call);
+         }
+         call.args = data.args ?? {};
+         call.argsText = JSON.stringify(call.args);
+         call.state = "call";
+         return call;
+      }
+      case "a": {
+         const call = find();
+         if (!call) return null;
+         call.result = data.result;
+         call.state = "result";
+         return call;
+      }
+      default:
+         return null;
+   }
+}
+
+/**
+ * Instructions that teach a model the emulated tool call format
+ * @param {Array<ToolDefinition>} tools
+ * @param {ToolChoice} [toolChoice="auto"]
+ * @returns {string}
+ */
+export function buildToolPrompt(tools, toolChoice = "auto") {
+   const lines = [
+      "You can call the following tools. To call a tool, reply with one block per call in exactly this format, then stop and wait for the results:",
+      `${OPEN_TAG}`,
+      `{"name": "<tool name>", "arguments": {<arguments matching the tool's parameters>}}`,
+      `${CLOSE_TAG}`,
+      "Results come back in the next message as [Tool result <id>] blocks. Never invent tool results and only call the tools listed here.",
+      "",
+      "Tools:"
+   ];
+   for (const tool of tools) {
+      lines.push(`- ${tool.name}${tool.description ? `: ${tool.description}` : ""}`);
+      lines.push(`  parameters: ${JSON.stringify(tool.parameters ?? { type: "object", properties: {} })}`);
+   }
+   if (toolChoice === "required") {
+      lines.push("", "You must call at least one tool.");
+   } else if (typeof toolChoice === "object" && toolChoice?.name) {
+      lines.push("", `You must call the ${toolChoice.name} tool.`);
+   }
+   return lines.join("\n");
+}
+
+/**
+ * Render a tool call the way the emulated format writes it, for replaying history
+ * @param {{ name: string, args: any }} call
+ */
+export function formatToolCall(call) {
+   return `${OPEN_TAG}\n${JSON.stringify({ name: call.name, arguments: call.args ?? {} })}\n${CLOSE_TAG}`;
+}
+
+/**
+ * Render a tool result for the message that follows a tool call
+ * @param {string} id Tool call ID
+ * @param {any} result
+ * @param {string} [name]
+ */
+export function formatToolResult(id, result, name) {
+   const text = typeof result === "string" ? result : JSON.stringify(result);
+   return `[Tool result ${id}${name ? ` (${name})` : ""}]\n${text}`;
+}
+
+/**
+ * Parse the body of a `<tool_call>` block, tolerating code fences around the JSON
+ * @param {string} body
+ * @returns {{ name: string, args: any } | null}
+ */
+function parseToolCallBody(body) {
+   const json = body
+      .trim()
+      .replace(/^```(?:json)?\s*/, "")
+      .replace(/\s*```$/, "");
+   try {
+      const parsed = JSON.parse(json);
+      if (typeof parsed?.name !== "string") return null;
+      let args = parsed.arguments ?? parsed.parameters ?? {};
+      // Some models double-encode the arguments like OpenAI does
+      if (typeof args === "string") args = JSON.parse(args);
+      return { name: parsed.name, args };
+   } catch (e) {
+      return null;
+   }
+}
+
+/**
+ * Length of the longest suffix of `text` that could be the start of `tag`
+ * @param {string} text
+ * @param {string} tag
+ */
+function partialTagLength(text, tag) {
+   for (let len = Math.min(tag.length - 1, text.length); len > 0; len--) {
+      if (text.endsWith(tag.substring(0, len))) return len;
+   }
+   return 0;
+}
+
+/**
+ * Turn `<tool_call>` blocks in the text stream into the same `b`/`c`/`9` events native tool calls use.
+ * Text around the blocks passes through as `a0`, and the finish reason becomes `tool-calls` when any call was made.
+ * @param {AsyncIterable<{ event: string, data: any }>} arenaEvents
+ * @param {Array<ToolCall>} toolCalls Calls are recorded here as they complete
+ * @returns {AsyncGenerator<{ event: string, data: any }>}
+ */
+export async function* emulateToolCalls(arenaEvents, toolCalls) {
+   let pending = "";
+   let inside = false;
+   let madeCall = false;
+
+   function* flushCall(body) {
+      const parsed = parseToolCallBody(body);
+      if (!parsed) {
+         // Not a call we can use, show it to the user as it was written
+         yield { event: "a0", data: `${OPEN_TAG}${body}${CLOSE_TAG}` };
+         return;
+      }
+      const toolCallId = makeToolCallId();
+      const argsText = JSON.stringify(parsed.args);
+      const events = [
+         { event: "ab", data: { toolCallId, toolName: parsed.name } },
+         { event: "ac", data: { toolCallId, argsTextDelta: argsText } },
+         { event: "a9", data: { toolCallId, toolName: parsed.name, args: parsed.args } }
+      ];
+      for (const ev of events) {
+         applyToolEvent(toolCalls, ev.event.substring(1), ev.data);
+         yield ev;
+      }
+      madeCall = true;
+   }
+
+   function* drain(final) {
+      while (pending.length > 0) {
+         if (!inside) {
+            const start = pending.indexOf(OPEN_TAG);
+            if (start === -1) {
+               const keep = final ? 0 : partialTagLength(pending, OPEN_TAG);
+               const text = pending.substring(0, pending.length - keep);
+               pending = pending.substring(pending.length - keep);
+               if (text) yield { event: "a0", data: text };
+               return;
+            }
+            if (start > 0) yield { event: "a0", data: pending.substring(0, start) };
+            pending = pending.substring(start + OPEN_TAG.length);
+            inside = true;
+         } else {
+            const end = pending.indexOf(CLOSE_TAG);
+            if (end === -1) {
+               if (final) {
+                  // The model stopped before closing the block
+                  inside = false;
+                  const body = pending;
+                  pending = "";
+                  yield* flushCall(body);
+               }
+               return;
+            }
+            const body = pending.substring(0, end);
+            pending = pending.substring(end + CLOSE_TAG.length);
+            inside = false;
+            yield* flushCall(body);
+         }
+      }
+   }
+
+   for await (const chunk of arenaEvents) {
+      if (chunk.event === "a0") {
+         pending += chunk.data;
+         yield* drain(false);
+      } else if (chunk.event === "ad") {
+         yield* drain(true);
+         if (madeCall && typeof chunk.data === "object" && chunk.data !== null) {
+            yield { event: "ad", data: { ...chunk.data, finishReason: "tool-calls" } };
+         } else {
+            yield chunk;
+         }
+      } else {
+         yield chunk;
+      }
+   }
+   yield* drain(true);
+}
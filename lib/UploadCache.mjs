@@ -0,0 +1,195 @@
+// UploadCache.mjs
+// Remembers which attachments are already on R2, by content hash, so the same bytes are only uploaded once
+
+import { createHash } from "node:crypto";
+import { createReadStream } from "node:fs";
+import { JsonFileStore, dataFile } from "./JsonFileStore.mjs";
+
+const STORE_PATH = dataFile("uploads.json");
+
+// Assumed lifetime of signed URLs that don't say when they expire
+const DEFAULT_URL_TTL_MS = 60 * 60 * 1000;
+// Uploads nobody reused for this long are forgotten, the arena may have cleaned them up by then
+const ENTRY_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_ENTRIES = 5000;
+const FLUSH_DELAY_MS = 1000;
+
+/**
+ * @typedef {Object} CachedUpload
+ * @property {string} key R2 object key
+ * @property {string} url Last signed URL for the object
+ * @property {number} expiresAt When `url` stops working
+ * @property {string} mime
+ * @property {number} size
+ * @property {number} lastUsedAt
+ */
+
+/**
+ * Cache key for an attachment, the same bytes under another type are a different object
+ * @param {string} mime
+ * @param {string} digest Hex SHA-256 of the content
+ */
+const cacheKey = (mime, digest) => `${mime}:${digest}`;
+
+/**
+ * @param {string} mime
+ * @param {Buffer} content
+ */
+export function hashContent(mime, content) {
+   return cacheKey(mime, createHash("sha256").update(content).digest("hex"));
+}
+
+/**
+ * Same as `hashContent` for a file on disk, read as a stream so large files aren't loaded into memory
+ * @param {string} mime
+ * @param {string} filePath
+ * @returns {Promise<string>}
+ */
+export async function hashFile(mime, filePath) {
+   const hash = createHash("sha256");
+   for await (const chunk of createReadStream(filePath)) {
+      hash.update(chunk);
+   }
+   return cacheKey(mime, hash.digest("hex"));
+}
+
+/**
+ * Expiry of a presigned URL, read from its S3 (`X-Amz-Date` + `X-Amz-Expires`) or plain `Expires` parameters
+ * @param {string} url
+ * @returns {number | null} null if the URL doesn't say
+ */
+export function signedUrlExpiry(url) {
+   let params;
+   try {
+      params = new URL(url).searchParams;
+   } catch {
+      return null;
+   }
+   const date = params.get("X-Amz-Date");
+   const expires = params.get("X-Amz-Expires");
+   if (date && expires) {
+      const m = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(date);
+      if (m) {
+         const signedAt = Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]);
+         return signedAt + Number(expires) * 1000;
+      }
+   }
+   const epoch = Number(params.get("Expires"));
+   return epoch > 0 ? epoch * 1000 : null;
+}
+
+export class UploadCache extends JsonFileStore {
+   constructor(filePath = STORE_PATH) {
+      super(filePath, { flushDelayMs: FLUSH_DELAY_MS });
+      /** @type {Map<string, CachedUpload>} Insertion order is least recently used first */
+      this.entries = new Map();
+      /** @type {Map<string, string>} R2 key to cache key */
+      this.byKey = new Map();
+      this.load();
+   }
+
+   load() {
+      const parsed = this.readFile();
+      for (const [hash, entry] of Object.entries(parsed?.uploads ?? {})) {
+         this.entries.set(hash, entry);
+         this.byKey.set(entry.key, hash);
+      }
+      this.prune();
+   }
+
+   serialize() {
+      this.prune();
+      return { uploads: Object.fromEntries(this.entries) };
+   }
+
+   /**
+    * Drop uploads that weren't used in a while, and the least recently used ones past the size limit
+    */
+   prune() {
+      const cutoff = Date.now() - ENTRY_TTL_MS;
+      for (const [hash, entry] of this.entries) {
+         if (entry.lastUsedAt < cutoff || this.entries.size > MAX_ENTRIES) {
+            this.entries.delete(hash);
+            this.byKey.delete(entry.key);
+         }
+      }
+   }
+
+   /**
+    * @param {string} hash From `hashContent` or `hashFile`
+    * @returns {CachedUpload | null}
+    */
+   get(hash) {
+      const entry = this.entries.get(hash);
+      if (!entry) return null;
+      entry.lastUsedAt = Date.now();
+      // Move to the back, it's now the most recently used
+      this.entries.delete(hash);
+      this.entries.set(hash, entry);
+      this.scheduleSave();
+      return entry;
+   }
+
+   /**
+    * @param {string} key R2 object key
+    * @returns {CachedUpload | null}
+    */
+   getByKey(key) {
+      const hash = this.byKey.get(key);
+      return hash ? this.entries.get(hash) ?? null : null;
+   }
+
+   /**
+    * @param {string} hash
+    * @param {{ key: string, url: string, mime: string, size: number }} upload
+    */
+   set(hash, { key, url, mime, size }) {
+      this.delete(hash);
+      this.entries.set(hash, {
+         key,
+         url,
+         expiresAt: signedUrlExpiry(url) ?? Date.now() + DEFAULT_URL_TTL_MS,
+         mime,
+         size,
+         lastUsedAt: Date.now()
+      });
+      this.byKey.set(key, hash);
+      this.scheduleSave();
+   }
+
+   /**
+    * Store a freshly signed URL for an object that's already cached
+    * @param {string} key R2 object key
+    * @param {string} url
+    */
+   updateUrl(key, url) {
+      const entry = this.getByKey(key);
+      if (!entry) return;
+      entry.url = url;
+      entry.expiresAt = signedUrlExpiry(url) ?? Date.now() + DEFAULT_URL_TTL_MS;
+      this.scheduleSave();
+   }
+
+   /**
+    * @param {string} hash
+    */
+   delete(hash) {
+      const entry = this.entries.get(hash);
+      if (!entry) return;
+      this.entries.delete(hash);
+      this.byKey.delete(entry.key);
+      this.scheduleSave();
+   }
+}
+
+let uploadCacheInstance = null;
+
+/**
+ * @returns {UploadCache}
+ */
+export function getUploadCache() {
+   if (!uploadCacheInstance) {
+      uploadCacheInstance = new UploadCache();
+   }
+   return uploadCacheInstance;
+}
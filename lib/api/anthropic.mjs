@@ -0,0 +1,421 @@
+// anthropic.mjs
+// Anthropic Messages API-compatible front-end
+
+import { Router } from "express";
+import { randomUUID } from "node:crypto";
+import {
+   ApiError,
+   arenaApiError,
+   beginEventStream,
+   clientSignal,
+   estimateTokens,
+   fetchImageAttachment,
+   flattenConversation,
+   jsonBody,
+   recordApiUsage,
+   requireApiKey,
+   resolveModel,
+   toApiError
+} from "./common.mjs";
+import { formatToolCall, formatToolResult } from "../ToolCalls.mjs";
+import { isErrorEvent } from "../ArenaErrors.mjs";
+
+/**
+ * @typedef {import('./common.mjs').ApiTurn} ApiTurn
+ * @typedef {import('../ToolCalls.mjs').ToolOptions} ToolOptions
+ */
+
+// Anthropic error types by HTTP status
+const ERROR_TYPES = {
+   400: "invalid_request_error",
+   401: "authentication_error",
+   403: "permission_error",
+   404: "not_found_error",
+   413: "request_too_large",
+   429: "rate_limit_error",
+   500: "api_error",
+   529: "overloaded_error"
+};
+
+const STOP_REASONS = {
+   stop: "end_turn",
+   length: "max_tokens",
+   "tool-calls": "tool_use",
+   "content-filter": "refusal"
+};
+
+/**
+ * Anthropic error object for an error thrown anywhere in the pipeline
+ * @param {any} err
+ * @returns {{ status: number, body: { type: "error", error: { type: string, message: string } } }}
+ */
+function toAnthropicError(err) {
+   err = toApiError(err);
+   const status = err instanceof ApiError ? err.status : err.status || 500;
+   return {
+      status,
+      body: {
+         type: "error",
+         error: {
+            type: ERROR_TYPES[status] ?? (status < 500 ? "invalid_request_error" : "api_error"),
+            message: err.message || "Internal server error"
+         }
+      }
+   };
+}
+
+/**
+ * Convert one Anthropic content field (string or block array) into text and attachments
+ * @param {string | Array<any>} content
+ * @param {ApiTurn} turn Turn to fill in
+ */
+async function readContentBlocks(content, turn) {
+   if (typeof content === "string") {
+      turn.content = content;
+      return;
+   }
+   if (!Array.isArray(content)) {
+      throw new ApiError(400, "content must be a string or an array of content blocks.");
+   }
+   const textParts = [];
+   for (const block of content) {
+      switch (block.type) {
+         case "text":
+            textParts.push(block.text);
+            break;
+         case "image": {
+            const source = block.source ?? {};
+            const url =
+               source.type === "base64"
+                  ? `data:${source.media_type};base64,${source.data}`
+                  : source.url;
+            turn.attachments.push(await fetchImageAttachment(url));
+            break;
+         }
+         case "tool_use":
+            textParts.push(formatToolCall({ name: block.name, args: block.input }));
+            break;
+         case "tool_result": {
+            const inner = { role: turn.role, content: "", attachments: [] };
+            await readContentBlocks(block.content ?? "", inner);
+            turn.attachments.push(...inner.attachments);
+            textParts.push(formatToolResult(block.tool_use_id, inner.content));
+            break;
+         }
+         case "thinking":
+         case "redacted_thinking":
+            // Earlier reasoning isn't replayed to the model
+            break;
+         default:
+            throw new ApiError(400, `Unsupported content block type '${block.type}'.`);
+      }
+   }
+   turn.content = textParts.join("\n");
+}
+
+/**
+ * Convert an Anthropic request body into protocol-neutral turns
+ * @param {any} body
+ * @returns {Promise<Array<ApiTurn>>}
+ */
+export async function convertAnthropicMessages(body) {
+   if (!Array.isArray(body.messages)) {
+      throw new ApiError(400, "messages: Field required");
+   }
+   const turns = [];
+   if (body.system) {
+      /** @type {ApiTurn} */
+      const system = { role: "system", content: "", attachments: [] };
+      await readContentBlocks(body.system, system);
+      turns.push(system);
+   }
+   for (const msg of body.messages) {
+      if (msg.role !== "user" && msg.role !== "assistant") {
+         throw new ApiError(400, `Unexpected role '${msg.role}'.`);
+      }
+      /** @type {ApiTurn} */
+      const turn = { role: msg.role, content: "", attachments: [] };
+      await readContentBlocks(msg.content, turn);
+      turns.push(turn);
+   }
+   return turns;
+}
+
+/**
+ * Read the tools of a Messages request
+ * @param {any} body
+ * @returns {ToolOptions}
+ */
+export function readAnthropicTools(body) {
+   if (!body.tools) return {};
+   if (!Array.isArray(body.tools)) {
+      throw new ApiError(400, "tools: Input should be a valid list");
+   }
+   const tools = body.tools.map((tool) => {
+      if (typeof tool.name !== "string" || (tool.type && tool.type !== "custom")) {
+         throw new ApiError(400, `Unsupported tool '${tool.name ?? tool.type}', only custom tools are supported.`);
+      }
+      return {
+         name: tool.name,
+         description: tool.description,
+         parameters: tool.input_schema
+      };
+   });
+   const choice = body.tool_choice ?? { type: "auto" };
+   const toolChoice =
+      choice.type === "any"
+         ? "required"
+         : choice.type === "tool"
+           ? { name: choice.name }
+           : choice.type === "none"
+             ? "none"
+             : "auto";
+   return { tools, toolChoice };
+}
+
+/**
+ * Translate arena stream events into Anthropic message stream events
+ * @param {AsyncIterable<{ event: string, data: any }>} arenaEvents
+ * @param {{ id: string, model: string, inputTokens: number, toolNames?: Array<string> }} info
+ *   Only calls to `toolNames` become tool_use blocks, the arena's own tools run server-side
+ * @returns {AsyncGenerator<any>}
+ */
+export async function* translateToAnthropicEvents(arenaEvents, info) {
+   let index = -1;
+   let openBlock = null;
+   let outputTokens = 0;
+
+   yield {
+      type: "message_start",
+      message: {
+         id: info.id,
+         type: "message",
+         role: "assistant",
+         content: [],
+         model: info.model,
+         stop_reason: null,
+         stop_sequence: null,
+         usage: { input_tokens: info.inputTokens, output_tokens: 0 }
+      }
+   };
+
+   function* switchBlock(type, initial, alwaysNew = false) {
+      if (openBlock === type && !alwaysNew) return;
+      if (openBlock !== null) {
+         yield { type: "content_block_stop", index };
+      }
+      index++;
+      openBlock = type;
+      yield { type: "content_block_start", index, content_block: initial };
+   }
+
+   let stopReason = "end_turn";
+   // Tool call ID of the open tool_use block
+   let openToolCall = null;
+   let usedTools = false;
+   const isOwnTool = (name) => info.toolNames?.includes(name) ?? false;
+   for await (const chunk of arenaEvents) {
+      if (chunk.event === "a0") {
+         outputTokens++;
+         yield* switchBlock("text", { type: "text", text: "" });
+         yield {
+            type: "content_block_delta",
+            index,
+            delta: { type: "text_delta", text: chunk.data }
+         };
+      } else if (chunk.event === "ag") {
+         outputTokens++;
+         yield* switchBlock("thinking", { type: "thinking", thinking: "" });
+         yield {
+            type: "content_block_delta",
+            index,
+            delta: { type: "thinking_delta", thinking: chunk.data }
+         };
+      } else if (chunk.event === "aj") {
+         yield* switchBlock("thinking", { type: "thinking", thinking: "" });
+         yield {
+            type: "content_block_delta",
+            index,
+            delta: {
+               type: "signature_delta",
+               signature:
+                  typeof chunk.data === "string" ? chunk.data : chunk.data?.signature
+            }
+         };
+      } else if (chunk.event === "ai") {
+         // Redacted blocks arrive whole
+         yield* switchBlock(
+            "redacted_thinking",
+            {
+               type: "redacted_thinking",
+               data: typeof chunk.data === "string" ? chunk.data : chunk.data?.data
+            },
+            true
+         );
+      } else if (
+         (chunk.event === "ab" || chunk.event === "a9") &&
+         chunk.data.toolCallId !== openToolCall &&
+         isOwnTool(chunk.data.toolName)
+      ) {
+         usedTools = true;
+         yield* switchBlock(
+            "tool_use",
+            { type: "tool_use", id: chunk.data.toolCallId, name: chunk.data.toolName, input: {} },
+            true
+         );
+         openToolCall = chunk.data.toolCallId;
+         if (chunk.event === "a9") {
+            // Complete call without a streaming start
+            yield {
+               type: "content_block_delta",
+               index,
+               delta: { type: "input_json_delta", partial_json: JSON.stringify(chunk.data.args ?? {}) }
+            };
+         }
+      } else if (chunk.event === "ac" && chunk.data.toolCallId === openToolCall && openBlock === "tool_use") {
+         outputTokens++;
+         yield {
+            type: "content_block_delta",
+            index,
+            delta: { type: "input_json_delta", partial_json: chunk.data.argsTextDelta }
+         };
+      } else if (isErrorEvent(chunk)) {
+         throw arenaApiError(chunk.data);
+      } else if (chunk.event === "ad") {
+         stopReason = STOP_REASONS[chunk.data?.finishReason] ?? "end_turn";
+         // The arena also finishes with tool-calls after its own tools ran
+         if (usedTools) stopReason = "tool_use";
+         else if (stopReason === "tool_use") stopReason = "end_turn";
+         break;
+      }
+   }
+
+   if (openBlock !== null) {
+      yield { type: "content_block_stop", index };
+   }
+   yield {
+      type: "message_delta",
+      delta: { stop_reason: stopReason, stop_sequence: null },
+      usage: { output_tokens: outputTokens }
+   };
+   yield { type: "message_stop" };
+}
+
+/**
+ * Fold a translated event stream back into a complete Anthropic message
+ * @param {AsyncIterable<any>} events Output of `translateToAnthropicEvents`
+ */
+async function collectAnthropicMessage(events) {
+   let message = null;
+   // Block index -> tool_use input JSON received so far
+   const inputJson = new Map();
+   for await (const ev of events) {
+      if (ev.type === "message_start") {
+         message = ev.message;
+      } else if (ev.type === "content_block_start") {
+         message.content[ev.index] = { ...ev.content_block };
+         if (ev.content_block.type === "tool_use") inputJson.set(ev.index, "");
+      } else if (ev.type === "content_block_stop") {
+         if (inputJson.has(ev.index)) {
+            try {
+               message.content[ev.index].input = JSON.parse(inputJson.get(ev.index) || "{}");
+            } catch (e) {
+               // The stream stopped partway through the arguments, e.g. after a timeout
+               throw new ApiError(502, `The model's input for tool '${message.content[ev.index].name}' isn't valid JSON.`, "server_error");
+            }
+         }
+      } else if (ev.type === "content_block_delta") {
+         const block = message.content[ev.index];
+         if (ev.delta.type === "text_delta") block.text += ev.delta.text;
+         else if (ev.delta.type === "input_json_delta") {
+            inputJson.set(ev.index, inputJson.get(ev.index) + ev.delta.partial_json);
+         }
+         else if (ev.delta.type === "thinking_delta") block.thinking += ev.delta.thinking;
+         else if (ev.delta.type === "signature_delta") block.signature = ev.delta.signature;
+      } else if (ev.type === "message_delta") {
+         message.stop_reason = ev.delta.stop_reason;
+         message.usage.output_tokens = ev.usage.output_tokens;
+      }
+   }
+   return message;
+}
+
+/**
+ * @param {import("../LMArena.mjs").LMArena} lmArena
+ * @param {import("../OPLogger.mjs").Logger} logger
+ * @returns {Router}
+ */
+export function createAnthropicRouter(lmArena, logger) {
+   const router = Router();
+
+   router.post("/v1/messages", requireApiKey, jsonBody, async (req, res) => {
+      const body = req.body ?? {};
+      const model = resolveModel(lmArena, body.model, "text", res.locals.apiKey);
+      const message = flattenConversation(await convertAnthropicMessages(body));
+      const toolOptions = readAnthropicTools(body);
+      if (
+         message.attachments.length > 0 &&
+         !model.capabilities.inputCapabilities.image
+      ) {
+         throw new ApiError(400, `The model '${body.model}' does not support image inputs.`);
+      }
+
+      const chat = lmArena.startChat(body.model, "chat");
+      const info = {
+         id: `msg_${randomUUID().replace(/-/g, "")}`,
+         model: body.model,
+         inputTokens: estimateTokens(message.content),
+         toolNames: toolOptions.tools?.map((t) => t.name)
+      };
+      logger.info(
+         `messages key=${res.locals.apiKey.id} model=${body.model} stream=${!!body.stream} session=${chat.session.sessionId}`
+      );
+      const signal = clientSignal(res);
+      const events = translateToAnthropicEvents(
+         chat.sendMessage(message, false, { ...toolOptions, signal }),
+         info
+      );
+
+      if (!body.stream) {
+         const result = await collectAnthropicMessage(events);
+         recordApiUsage(res, body.model, {
+            inputTokens: info.inputTokens,
+            outputTokens: result.usage.output_tokens
+         });
+         res.json(result);
+         return;
+      }
+
+      beginEventStream(res);
+      let outputTokens = 0;
+      try {
+         for await (const ev of events) {
+            if (ev.type === "message_delta") outputTokens = ev.usage.output_tokens;
+            res.write(`event: ${ev.type}\ndata: ${JSON.stringify(ev)}\n\n`);
+         }
+      } catch (err) {
+         // A stopped turn throws the abort, the client that would get the error is gone
+         if (!signal.aborted) {
+            logger.error(`messages stream failed: ${err.message}`);
+            const { body: errorBody } = toAnthropicError(err);
+            res.write(`event: error\ndata: ${JSON.stringify(errorBody)}\n\n`);
+         }
+      }
+      res.end();
+      recordApiUsage(res, body.model, { inputTokens: info.inputTokens, outputTokens });
+   });
+
+   router.use("/v1/messages", (e, req, res, next) => {
+      // The client disconnected and the turn was stopped for it, there's nobody to answer
+      if (res.locals.clientSignal?.aborted) return;
+      if (res.headersSent) return next(e);
+      const err = toApiError(e);
+      if (!(err instanceof ApiError) && !(err.status < 500)) {
+         logger.error(err.stack || String(err));
+      }
+      const { status, body } = toAnthropicError(err);
+      res.status(status).json(body);
+   });
+
+   return router;
+}
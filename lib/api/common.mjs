@@ -0,0 +1,379 @@
+// common.mjs
+// Shared helpers for the HTTP protocol front-ends
+
+import express from "express";
+import { Readable } from "node:stream";
+import { lookup } from "node:dns/promises";
+import { BlockList } from "node:net";
+import { fileTypeFromBuffer } from "file-type";
+import { getApiKeyStore } from "../ApiKeyStore.mjs";
+import { ArenaError, arenaErrorFromData } from "../ArenaErrors.mjs";
+import { formatTranscript } from "../util.mjs";
+
+/**
+ * @typedef {import('types/lmarena').Attachment} Attachment
+ * @typedef {import('types/lmarena').ChatMessage} ChatMessage
+ * @typedef {import('../ApiKeyStore.mjs').ApiKeyRecord} ApiKeyRecord
+ */
+
+/**
+ * Protocol-neutral conversation turn, every front-end converts its own message format into this
+ * @typedef {Object} ApiTurn
+ * @property {"user" | "assistant" | "system"} role
+ * @property {string} content
+ * @property {Array<Attachment>} attachments
+ */
+
+// Images arrive inline as base64, so allow large bodies
+export const jsonBody = express.json({ limit: "50mb" });
+
+/**
+ * Error thrown from request handlers, each front-end renders it in its own error format
+ */
+export class ApiError extends Error {
+   /**
+    * @param {number} status HTTP status code
+    * @param {string} message Human readable message
+    * @param {string} [type="invalid_request_error"] Error type
+    * @param {string | null} [param=null] Offending request parameter
+    */
+   constructor(status, message, type = "invalid_request_error", param = null) {
+      super(message);
+      this.name = "ApiError";
+      this.status = status;
+      this.type = type;
+      this.param = param;
+   }
+}
+
+// How each kind of arena failure is reported to API clients
+const ARENA_ERROR_RESPONSES = {
+   moderation: [400, "content_filter"],
+   rate_limit: [429, "rate_limit_error"],
+   auth_expired: [503, "server_error"],
+   provider: [502, "server_error"],
+   network: [502, "server_error"],
+   parse: [502, "server_error"],
+   unknown: [500, "server_error"]
+};
+
+/**
+ * Turn an arena failure into the `ApiError` it's reported as, other errors are returned unchanged. The arena's
+ * own status and response body stay on the result's `cause`.
+ * @param {any} err
+ * @returns {any}
+ */
+export function toApiError(err) {
+   if (!(err instanceof ArenaError)) return err;
+   let [status, type] = ARENA_ERROR_RESPONSES[err.kind] ?? ARENA_ERROR_RESPONSES.unknown;
+   if (err.kind === "network" && err.details.timeout) status = 504;
+   const apiError = new ApiError(status, err.message, type);
+   apiError.cause = err;
+   return apiError;
+}
+
+/**
+ * The `ApiError` for an arena stream's `x` event
+ * @param {import("../ArenaErrors.mjs").ArenaErrorData} data
+ * @returns {ApiError}
+ */
+export function arenaApiError(data) {
+   return toApiError(arenaErrorFromData(data));
+}
+
+/**
+ * Read the caller's API key, OpenAI and Ollama clients send a bearer token, Anthropic clients send x-api-key
+ * @param {import("node:http").IncomingMessage} req
+ * @returns {string | null}
+ */
+export function readApiKey(req) {
+   const authorization = req.headers.authorization;
+   if (authorization?.startsWith("Bearer ")) {
+      return authorization.substring(7).trim();
+   }
+   const header = req.headers["x-api-key"];
+   return typeof header === "string" ? header : null;
+}
+
+/**
+ * Authenticate the request and count it against the key's quotas, the key record ends up in `res.locals.apiKey`
+ * @type {import("express").RequestHandler}
+ */
+export function requireApiKey(req, res, next) {
+   const store = getApiKeyStore();
+   const record = store.authenticate(readApiKey(req));
+   if (!record) {
+      throw new ApiError(401, "Invalid or missing API key.", "authentication_error");
+   }
+   const quota = store.consume(record);
+   if (!quota.allowed) {
+      res.setHeader("Retry-After", String(quota.retryAfter));
+      throw new ApiError(429, quota.reason, "rate_limit_error");
+   }
+   res.locals.apiKey = record;
+   next();
+}
+
+/**
+ * Record a finished generation against the request's API key
+ * @param {import("express").Response} res
+ * @param {string} modelName
+ * @param {{ inputTokens?: number, outputTokens?: number }} [tokens]
+ */
+export function recordApiUsage(res, modelName, tokens) {
+   if (res.locals.apiKey) {
+      getApiKeyStore().recordUsage(res.locals.apiKey, modelName, tokens);
+   }
+}
+
+/**
+ * Look up a model by public name and make sure it can produce the requested output
+ * @param {import("../LMArena.mjs").LMArena} lmArena
+ * @param {string} name Model public name
+ * @param {"text" | "image" | "video"} output Required output capability
+ * @param {ApiKeyRecord | null} [apiKey=null] Key the request was made with, checked against its allowed models
+ * @returns {any} The model object from `lmArena.models`
+ */
+export function resolveModel(lmArena, name, output = "text", apiKey = null) {
+   if (typeof name !== "string" || name.length === 0) {
+      throw new ApiError(400, "You must provide a model parameter.", "invalid_request_error", "model");
+   }
+   const model = lmArena.models.get(name);
+   if (!model) {
+      throw new ApiError(404, `The model '${name}' does not exist.`, "not_found_error", "model");
+   }
+   if (apiKey && !getApiKeyStore().isModelAllowed(apiKey, name)) {
+      throw new ApiError(403, `This API key is not allowed to use the model '${name}'.`, "permission_error", "model");
+   }
+   if (!model.capabilities?.outputCapabilities?.[output]) {
+      throw new ApiError(400, `The model '${name}' does not support ${output} output.`, "invalid_request_error", "model");
+   }
+   return model;
+}
+
+// Image URLs are downloaded by the server, bigger ones are rejected
+const MAX_IMAGE_BYTES = 20 * 1024 * 1024;
+const MAX_IMAGE_REDIRECTS = 5;
+
+// Loopback, private, link-local and other non-public ranges, image URLs can't point into the bot's own network.
+// The IPv4 ranges also match their IPv4-mapped IPv6 form.
+const privateAddresses = new BlockList();
+for (const [network, prefix] of [
+   ["0.0.0.0", 8],
+   ["10.0.0.0", 8],
+   ["100.64.0.0", 10],
+   ["127.0.0.0", 8],
+   ["169.254.0.0", 16],
+   ["172.16.0.0", 12],
+   ["192.168.0.0", 16],
+   ["224.0.0.0", 4],
+   ["240.0.0.0", 4]
+]) {
+   privateAddresses.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+   ["::", 128],
+   ["::1", 128],
+   ["64:ff9b::", 96],
+   ["fc00::", 7],
+   ["fe80::", 10],
+   ["ff00::", 8]
+]) {
+   privateAddresses.addSubnet(network, prefix, "ipv6");
+}
+
+/**
+ * Make sure an image URL's host only resolves to public addresses
+ * @param {URL} url
+ */
+async function checkImageHost(url) {
+   // IPv6 literals keep their brackets in `hostname`
+   const hostname = url.hostname.replace(/^\[(.*)\]$/, "$1");
+   let addresses;
+   try {
+      addresses = await lookup(hostname, { all: true });
+   } catch (e) {
+      throw new ApiError(400, `Failed to fetch image ${url.href} (${e.code ?? e.message}).`, "invalid_request_error", "messages");
+   }
+   if (addresses.some(({ address, family }) => privateAddresses.check(address, family === 6 ? "ipv6" : "ipv4"))) {
+      throw new ApiError(400, `Image URLs can't point to private addresses (${url.href}).`, "invalid_request_error", "messages");
+   }
+}
+
+/**
+ * Download an http(s) image, redirects are followed by hand so every hop is checked
+ * @param {string} href
+ * @returns {Promise<{ content: Buffer, contentType: string | null }>}
+ */
+async function downloadImage(href) {
+   let url = new URL(href);
+   for (let redirects = 0; ; redirects++) {
+      if (!/^https?:$/.test(url.protocol)) {
+         throw new ApiError(400, "Image URLs must be data: or http(s): URLs.", "invalid_request_error", "messages");
+      }
+      await checkImageHost(url);
+      let response;
+      try {
+         response = await fetch(url, { redirect: "manual" });
+      } catch (e) {
+         throw new ApiError(400, `Failed to fetch image ${url.href} (${e.message}).`, "invalid_request_error", "messages");
+      }
+      const location = response.headers.get("location");
+      if (response.status >= 300 && response.status < 400 && location) {
+         await response.body?.cancel();
+         if (redirects >= MAX_IMAGE_REDIRECTS) {
+            throw new ApiError(400, `Too many redirects fetching image ${href}.`, "invalid_request_error", "messages");
+         }
+         url = new URL(location, url);
+         continue;
+      }
+      if (!response.ok || !response.body) {
+         await response.body?.cancel();
+         throw new ApiError(400, `Failed to fetch image ${url.href} (status ${response.status}).`, "invalid_request_error", "messages");
+      }
+      const tooLarge = () =>
+         new ApiError(400, `Image ${url.href} is larger than ${MAX_IMAGE_BYTES / 1024 / 1024} MB.`, "invalid_request_error", "messages");
+      if (Number(response.headers.get("content-length")) > MAX_IMAGE_BYTES) {
+         await response.body.cancel();
+         throw tooLarge();
+      }
+      const chunks = [];
+      let size = 0;
+      // Leaving the loop early cancels the download
+      for await (const chunk of response.body) {
+         size += chunk.length;
+         if (size > MAX_IMAGE_BYTES) throw tooLarge();
+         chunks.push(chunk);
+      }
+      return { content: Buffer.concat(chunks), contentType: response.headers.get("content-type") };
+   }
+}
+
+/**
+ * Turn an image URL (data: or http(s):) into an arena attachment. http(s) images are downloaded, at most
+ * `MAX_IMAGE_BYTES` and only from public addresses.
+ * @param {string} url
+ * @returns {Promise<Attachment>}
+ */
+export async function fetchImageAttachment(url) {
+   const dataMatch = /^data:([^;,]+)?(;base64)?,(.*)$/s.exec(url);
+   if (dataMatch) {
+      const [, mime, isBase64, body] = dataMatch;
+      const content = isBase64
+         ? Buffer.from(body, "base64")
+         : Buffer.from(decodeURIComponent(body), "utf-8");
+      return {
+         mime: mime || (await fileTypeFromBuffer(content))?.mime || "image/png",
+         content,
+         r2Key: null,
+         r2BucketUrl: null
+      };
+   }
+   if (typeof url !== "string" || !/^https?:\/\//.test(url) || !URL.canParse(url)) {
+      throw new ApiError(400, "Image URLs must be data: or http(s): URLs.", "invalid_request_error", "messages");
+   }
+   const { content, contentType } = await downloadImage(url);
+   const fileType = await fileTypeFromBuffer(content);
+   return {
+      mime: fileType ? fileType.mime : contentType || "image/png",
+      content,
+      r2Key: null,
+      r2BucketUrl: null
+   };
+}
+
+/**
+ * The V2 backend only accepts the current user message (the server keeps the history), so stateless
+ * protocol requests get their system prompt and earlier turns folded into a single transcript.
+ * @param {Array<ApiTurn>} turns
+ * @returns {Omit<ChatMessage, "id">}
+ */
+export function flattenConversation(turns) {
+   if (turns.length === 0) {
+      throw new ApiError(400, "messages must contain at least one message.", "invalid_request_error", "messages");
+   }
+   const last = turns[turns.length - 1];
+   if (last.role !== "user") {
+      throw new ApiError(400, "The last message must be from the user.", "invalid_request_error", "messages");
+   }
+
+   const attachments = turns.flatMap((turn) => turn.attachments);
+   if (turns.length === 1) {
+      return { role: "user", content: last.content, attachments };
+   }
+
+   return { role: "user", content: formatTranscript(turns), attachments };
+}
+
+/**
+ * Rough token estimate for usage reporting, the arena doesn't report real counts
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+   return Math.ceil(text.length / 4);
+}
+
+/**
+ * Aborted when the client disconnects before the response is finished, pass it to the arena request so the
+ * generation stops with the client. Also kept as `res.locals.clientSignal` for the error handlers.
+ * @param {import("express").Response} res
+ * @returns {AbortSignal}
+ */
+export function clientSignal(res) {
+   const controller = new AbortController();
+   res.on("close", () => {
+      if (!res.writableFinished) controller.abort();
+   });
+   res.locals.clientSignal = controller.signal;
+   return controller.signal;
+}
+
+/**
+ * Start a server-sent events response
+ * @param {import("express").Response} res
+ */
+export function beginEventStream(res) {
+   res.status(200);
+   res.setHeader("Content-Type", "text/event-stream");
+   res.setHeader("Cache-Control", "no-cache");
+   res.setHeader("Connection", "keep-alive");
+   res.flushHeaders();
+}
+
+/**
+ * Parse a multipart/form-data request body with the built-in fetch implementation
+ * @param {import("express").Request} req
+ * @returns {Promise<FormData>}
+ */
+export async function readFormData(req) {
+   // undici requires `duplex` for streamed bodies, the DOM typings don't know it
+   const init = /** @type {RequestInit & { duplex: "half" }} */ ({
+      method: req.method,
+      headers: /** @type {Record<string, string>} */ (req.headers),
+      body: /** @type {any} */ (Readable.toWeb(req)),
+      duplex: "half"
+   });
+   const request = new Request(`http://localhost${req.originalUrl}`, init);
+   try {
+      return await request.formData();
+   } catch (e) {
+      throw new ApiError(400, `Failed to parse multipart body: ${e.message}`);
+   }
+}
+
+/**
+ * Read a form file into an arena attachment
+ * @param {File} file
+ * @returns {Promise<Attachment>}
+ */
+export async function fileToAttachment(file) {
+   const content = Buffer.from(await file.arrayBuffer());
+   const fileType = await fileTypeFromBuffer(content);
+   return {
+      mime: fileType ? fileType.mime : file.type || "image/png",
+      content,
+      r2Key: null,
+      r2BucketUrl: null
+   };
+}
@@ -0,0 +1,358 @@
+// ollama.mjs
+// Ollama-compatible front-end, lets local-model desktop clients talk to arena models
+
+import { Router } from "express";
+import {
+   ApiError,
+   arenaApiError,
+   clientSignal,
+   estimateTokens,
+   fetchImageAttachment,
+   flattenConversation,
+   jsonBody,
+   recordApiUsage,
+   requireApiKey,
+   resolveModel,
+   toApiError
+} from "./common.mjs";
+import { isAnonymousModel } from "../util.mjs";
+import { getApiKeyStore } from "../ApiKeyStore.mjs";
+import { formatToolCall, formatToolResult } from "../ToolCalls.mjs";
+import { readOAITools } from "./openai.mjs";
+import { isErrorEvent } from "../ArenaErrors.mjs";
+
+/**
+ * @typedef {import('./common.mjs').ApiTurn} ApiTurn
+ */
+
+// Version reported to clients that gate features on it
+const OLLAMA_VERSION = "0.9.0";
+
+/**
+ * Ollama clients address models as name:tag, arena models only have a name
+ * @param {string} name
+ */
+function stripTag(name) {
+   return typeof name === "string" ? name.replace(/:latest$/, "") : name;
+}
+
+/**
+ * Ollama sends images as bare base64 strings
+ * @param {Array<string> | undefined} images
+ */
+async function readImages(images) {
+   const attachments = [];
+   for (const image of images ?? []) {
+      attachments.push(await fetchImageAttachment(`data:;base64,${image}`));
+   }
+   return attachments;
+}
+
+/**
+ * Reduce the arena stream to content/thinking/tool call deltas and a final done marker
+ * @param {AsyncIterable<{ event: string, data: any }>} arenaEvents
+ * @param {Array<string>} [toolNames=[]] Tools the client declared, the arena's own tools run server-side
+ * @returns {AsyncGenerator<{ content?: string, thinking?: string, toolCall?: any, doneReason?: string }>}
+ */
+async function* readArenaDeltas(arenaEvents, toolNames = []) {
+   for await (const chunk of arenaEvents) {
+      if (chunk.event === "a0") {
+         yield { content: chunk.data };
+      } else if (chunk.event === "a9" && toolNames.includes(chunk.data.toolName)) {
+         yield {
+            toolCall: {
+               function: { name: chunk.data.toolName, arguments: chunk.data.args ?? {} }
+            }
+         };
+      } else if (chunk.event === "ag") {
+         yield { thinking: chunk.data };
+      } else if (isErrorEvent(chunk)) {
+         throw arenaApiError(chunk.data);
+      } else if (chunk.event === "ad") {
+         yield {
+            doneReason: chunk.data?.finishReason === "length" ? "length" : "stop"
+         };
+         return;
+      }
+   }
+   yield { doneReason: "stop" };
+}
+
+/**
+ * Run a turn and write it out as Ollama responses, either as newline-delimited JSON or one object
+ * @param {import("express").Response} res
+ * @param {import("../LMArena.mjs").Chat} chat
+ * @param {Omit<import('types/lmarena').ChatMessage, "id">} message
+ * @param {{ model: string, stream: boolean, promptTokens: number, tools?: import('../ToolCalls.mjs').ToolOptions }} info
+ * @param {(delta: { content: string, thinking: string, toolCalls: Array<any> }) => object} shape Endpoint-specific fields
+ */
+async function writeOllamaResponse(res, chat, message, info, shape) {
+   const startedAt = process.hrtime.bigint();
+   let firstTokenAt = null;
+   let evalCount = 0;
+   let content = "";
+   let thinking = "";
+   const toolCalls = [];
+   const base = () => ({
+      model: info.model,
+      created_at: new Date().toISOString()
+   });
+   const finalStats = (doneReason) => {
+      const now = process.hrtime.bigint();
+      return {
+         done: true,
+         done_reason: doneReason,
+         total_duration: Number(now - startedAt),
+         load_duration: 0,
+         prompt_eval_count: info.promptTokens,
+         prompt_eval_duration: Number((firstTokenAt ?? now) - startedAt),
+         eval_count: evalCount,
+         eval_duration: Number(now - (firstTokenAt ?? now))
+      };
+   };
+
+   const toolOptions = info.tools ?? {};
+   const signal = clientSignal(res);
+   const deltas = readArenaDeltas(
+      chat.sendMessage(message, false, { ...toolOptions, signal }),
+      toolOptions.tools?.map((t) => t.name)
+   );
+
+   if (!info.stream) {
+      let doneReason = "stop";
+      for await (const delta of deltas) {
+         if (delta.doneReason) {
+            doneReason = delta.doneReason;
+            break;
+         }
+         if (firstTokenAt === null) firstTokenAt = process.hrtime.bigint();
+         evalCount++;
+         content += delta.content ?? "";
+         thinking += delta.thinking ?? "";
+         if (delta.toolCall) toolCalls.push(delta.toolCall);
+      }
+      recordApiUsage(res, stripTag(info.model), {
+         inputTokens: info.promptTokens,
+         outputTokens: evalCount
+      });
+      res.json({ ...base(), ...shape({ content, thinking, toolCalls }), ...finalStats(doneReason) });
+      return;
+   }
+
+   res.status(200);
+   res.setHeader("Content-Type", "application/x-ndjson");
+   res.flushHeaders();
+   try {
+      for await (const delta of deltas) {
+         if (delta.doneReason) {
+            res.write(
+               `${JSON.stringify({ ...base(), ...shape({ content: "", thinking: "", toolCalls: [] }), ...finalStats(delta.doneReason) })}\n`
+            );
+            break;
+         }
+         if (firstTokenAt === null) firstTokenAt = process.hrtime.bigint();
+         evalCount++;
+         res.write(
+            `${JSON.stringify({
+               ...base(),
+               ...shape({
+                  content: delta.content ?? "",
+                  thinking: delta.thinking ?? "",
+                  toolCalls: delta.toolCall ? [delta.toolCall] : []
+               }),
+               done: false
+            })}\n`
+         );
+      }
+   } catch (err) {
+      if (!signal.aborted) res.write(`${JSON.stringify({ error: toApiError(err).message })}\n`);
+   }
+   res.end();
+   recordApiUsage(res, stripTag(info.model), {
+      inputTokens: info.promptTokens,
+      outputTokens: evalCount
+   });
+}
+
+/**
+ * @param {import("../LMArena.mjs").LMArena} lmArena
+ * @param {import("../OPLogger.mjs").Logger} logger
+ * @returns {Router}
+ */
+export function createOllamaRouter(lmArena, logger) {
+   const router = Router();
+
+   router.get("/api/version", (req, res) => {
+      res.json({ version: OLLAMA_VERSION });
+   });
+
+   router.get("/api/tags", requireApiKey, (req, res) => {
+      const store = getApiKeyStore();
+      const modifiedAt = new Date(lmArena.modelsUpdatedAt * 1000).toISOString();
+      const models = [];
+      for (const model of lmArena.models.values()) {
+         if (!model.capabilities?.outputCapabilities?.text) continue;
+         if (!store.isModelAllowed(res.locals.apiKey, model.publicName)) continue;
+         models.push({
+            name: `${model.publicName}:latest`,
+            model: `${model.publicName}:latest`,
+            modified_at: modifiedAt,
+            size: 0,
+            digest: model.id,
+            details: {
+               parent_model: "",
+               format: "arena",
+               family: isAnonymousModel(model) ? "anonymous" : model.organization,
+               families: null,
+               parameter_size: "",
+               quantization_level: ""
+            }
+         });
+      }
+      res.json({ models });
+   });
+
+   router.post("/api/show", requireApiKey, jsonBody, (req, res) => {
+      const name = stripTag(req.body?.model ?? req.body?.name);
+      const model = lmArena.models.get(name);
+      if (!model || !getApiKeyStore().isModelAllowed(res.locals.apiKey, name)) {
+         throw new ApiError(404, `model '${name}' not found`);
+      }
+      const capabilities = ["completion"];
+      if (model.capabilities.inputCapabilities.image) capabilities.push("vision");
+      res.json({
+         modelfile: "",
+         parameters: "",
+         template: "",
+         details: {
+            format: "arena",
+            family: isAnonymousModel(model) ? "anonymous" : model.organization
+         },
+         model_info: {
+            "lmarena.id": model.id,
+            "lmarena.organization": model.organization ?? null,
+            "lmarena.provider": model.provider ?? null
+         },
+         capabilities
+      });
+   });
+
+   router.post("/api/chat", requireApiKey, jsonBody, async (req, res) => {
+      const body = req.body ?? {};
+      const name = stripTag(body.model);
+      const model = resolveModel(lmArena, name, "text", res.locals.apiKey);
+      if (!Array.isArray(body.messages)) {
+         throw new ApiError(400, "messages must be an array");
+      }
+      /** @type {Array<ApiTurn>} */
+      const turns = [];
+      for (const msg of body.messages) {
+         const role = msg.role === "tool" ? "user" : msg.role;
+         if (!["system", "user", "assistant"].includes(role)) {
+            throw new ApiError(400, `invalid role '${msg.role}'`);
+         }
+         let content = msg.content ?? "";
+         if (msg.role === "tool") {
+            content = formatToolResult(msg.tool_call_id ?? msg.tool_name ?? "", content, msg.tool_name);
+         }
+         for (const call of msg.tool_calls ?? []) {
+            let args = call.function?.arguments;
+            if (typeof args === "string") {
+               try {
+                  args = JSON.parse(args);
+               } catch (e) {
+                  throw new ApiError(400, `tool call '${call.function?.name}' has invalid JSON arguments`);
+               }
+            }
+            content += `${content ? "\n" : ""}${formatToolCall({ name: call.function?.name, args })}`;
+         }
+         turns.push({
+            role,
+            content,
+            attachments: await readImages(msg.images)
+         });
+      }
+      const tools = readOAITools(body);
+      const message = flattenConversation(turns);
+      if (message.attachments.length > 0 && !model.capabilities.inputCapabilities.image) {
+         throw new ApiError(400, `model '${name}' does not support images`);
+      }
+
+      const chat = lmArena.startChat(name, "chat");
+      const stream = body.stream !== false;
+      logger.info(`ollama chat key=${res.locals.apiKey.id} model=${name} stream=${stream} session=${chat.session.sessionId}`);
+      await writeOllamaResponse(
+         res,
+         chat,
+         message,
+         { model: body.model, stream, promptTokens: estimateTokens(message.content), tools },
+         ({ content, thinking, toolCalls }) => ({
+            message: {
+               role: "assistant",
+               content,
+               ...(thinking ? { thinking } : {}),
+               ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {})
+            }
+         })
+      );
+   });
+
+   router.post("/api/generate", requireApiKey, jsonBody, async (req, res) => {
+      const body = req.body ?? {};
+      const name = stripTag(body.model);
+      const model = resolveModel(lmArena, name, "text", res.locals.apiKey);
+      const stream = body.stream !== false;
+      // An empty prompt is how clients ask Ollama to preload a model
+      if (!body.prompt) {
+         res.json({
+            model: body.model,
+            created_at: new Date().toISOString(),
+            response: "",
+            done: true,
+            done_reason: "load"
+         });
+         return;
+      }
+
+      /** @type {Array<ApiTurn>} */
+      const turns = [];
+      if (body.system) {
+         turns.push({ role: "system", content: body.system, attachments: [] });
+      }
+      turns.push({
+         role: "user",
+         content: body.prompt,
+         attachments: await readImages(body.images)
+      });
+      const message = flattenConversation(turns);
+      if (message.attachments.length > 0 && !model.capabilities.inputCapabilities.image) {
+         throw new ApiError(400, `model '${name}' does not support images`);
+      }
+
+      const chat = lmArena.startChat(name, "chat");
+      logger.info(`ollama generate key=${res.locals.apiKey.id} model=${name} stream=${stream} session=${chat.session.sessionId}`);
+      await writeOllamaResponse(
+         res,
+         chat,
+         message,
+         { model: body.model, stream, promptTokens: estimateTokens(message.content) },
+         ({ content, thinking }) => ({
+            response: content,
+            ...(thinking ? { thinking } : {})
+         })
+      );
+   });
+
+   router.use("/api", (e, req, res, next) => {
+      // The client disconnected and the turn was stopped for it, there's nobody to answer
+      if (res.locals.clientSignal?.aborted) return;
+      if (res.headersSent) return next(e);
+      const err = toApiError(e);
+      if (!(err instanceof ApiError) && !(err.status < 500)) {
+         logger.error(err.stack || String(err));
+      }
+      res.status(err.status || 500).json({ error: err.message || "internal error" });
+   });
+
+   return router;
+}
@@ -0,0 +1,571 @@
+// openai.mjs
+// OpenAI-compatible front-end
+
+import { Router } from "express";
+import { randomUUID } from "node:crypto";
+import {
+   ApiError,
+   arenaApiError,
+   beginEventStream,
+   clientSignal,
+   estimateTokens,
+   fetchImageAttachment,
+   fileToAttachment,
+   flattenConversation,
+   jsonBody,
+   readFormData,
+   recordApiUsage,
+   requireApiKey,
+   resolveModel,
+   toApiError
+} from "./common.mjs";
+import { isAnonymousModel } from "../util.mjs";
+import { getApiKeyStore } from "../ApiKeyStore.mjs";
+import { formatToolCall, formatToolResult } from "../ToolCalls.mjs";
+import { SchemaError, StructuredOutputError, compileSchema } from "../StructuredOutput.mjs";
+import { isErrorEvent } from "../ArenaErrors.mjs";
+
+/**
+ * @typedef {import('./common.mjs').ApiTurn} ApiTurn
+ * @typedef {import('types/lmarena').Attachment} Attachment
+ * @typedef {import('../ToolCalls.mjs').ToolOptions} ToolOptions
+ */
+
+// Every image request runs a full arena generation, so keep n small
+const MAX_IMAGES_PER_REQUEST = 4;
+
+/**
+ * Convert OpenAI chat messages into protocol-neutral turns
+ * @param {Array<any>} messages OpenAI `messages` array
+ * @returns {Promise<Array<ApiTurn>>}
+ */
+export async function convertOAIMessages(messages) {
+   if (!Array.isArray(messages)) {
+      throw new ApiError(400, "messages must be an array.", "invalid_request_error", "messages");
+   }
+   const turns = [];
+   for (const msg of messages) {
+      // Developer messages are the newer name for system messages, tool output is passed along as user text
+      const role =
+         msg.role === "developer"
+            ? "system"
+            : msg.role === "tool"
+              ? "user"
+              : msg.role;
+      if (!["system", "user", "assistant"].includes(role)) {
+         throw new ApiError(400, `Unsupported message role '${msg.role}'.`, "invalid_request_error", "messages");
+      }
+
+      /** @type {ApiTurn} */
+      const turn = { role, content: "", attachments: [] };
+      if (typeof msg.content === "string") {
+         turn.content = msg.content;
+      } else if (Array.isArray(msg.content)) {
+         const textParts = [];
+         for (const part of msg.content) {
+            if (part.type === "text") {
+               textParts.push(part.text);
+            } else if (part.type === "image_url") {
+               const url =
+                  typeof part.image_url === "string"
+                     ? part.image_url
+                     : part.image_url?.url;
+               turn.attachments.push(await fetchImageAttachment(url));
+            } else {
+               throw new ApiError(400, `Unsupported content part type '${part.type}'.`, "invalid_request_error", "messages");
+            }
+         }
+         turn.content = textParts.join("\n");
+      }
+      if (msg.role === "tool") {
+         turn.content = formatToolResult(msg.tool_call_id, turn.content);
+      }
+      // Replay earlier calls in the emulated format so the model keeps using it
+      for (const call of msg.tool_calls ?? []) {
+         let args;
+         try {
+            args = JSON.parse(call.function?.arguments || "{}");
+         } catch (e) {
+            throw new ApiError(400, `Tool call '${call.id}' has invalid JSON arguments.`, "invalid_request_error", "messages");
+         }
+         turn.content += `${turn.content ? "\n" : ""}${formatToolCall({ name: call.function?.name, args })}`;
+      }
+      turns.push(turn);
+   }
+   return turns;
+}
+
+/**
+ * Read the function tools of a chat completion request
+ * @param {any} body
+ * @returns {ToolOptions}
+ */
+export function readOAITools(body) {
+   if (body.tools === undefined || body.tools === null) return {};
+   if (!Array.isArray(body.tools)) {
+      throw new ApiError(400, "tools must be an array.", "invalid_request_error", "tools");
+   }
+   const tools = body.tools.map((tool) => {
+      if (tool.type !== "function" || typeof tool.function?.name !== "string") {
+         throw new ApiError(400, "Only function tools are supported.", "invalid_request_error", "tools");
+      }
+      return {
+         name: tool.function.name,
+         description: tool.function.description,
+         parameters: tool.function.parameters
+      };
+   });
+   const choice = body.tool_choice;
+   return {
+      tools,
+      toolChoice: typeof choice === "object" && choice !== null ? { name: choice.function?.name } : choice ?? "auto"
+   };
+}
+
+/**
+ * Read `response_format` into the JSON Schema replies have to match
+ * @param {any} body
+ * @returns {object | null} null for plain text replies
+ */
+export function readResponseFormat(body) {
+   const format = body.response_format;
+   if (!format || format.type === "text") return null;
+   if (format.type === "json_object") return { type: "object" };
+   if (format.type === "json_schema") {
+      const schema = format.json_schema?.schema;
+      if (typeof schema !== "object" || schema === null) {
+         throw new ApiError(400, "response_format.json_schema.schema must be a JSON Schema object.", "invalid_request_error", "response_format");
+      }
+      try {
+         compileSchema(schema);
+      } catch (err) {
+         if (err instanceof SchemaError) {
+            throw new ApiError(400, `Invalid response_format.json_schema.schema: ${err.message}`, "invalid_request_error", "response_format");
+         }
+         throw err;
+      }
+      return schema;
+   }
+   throw new ApiError(400, `Unsupported response_format type '${format.type}'.`, "invalid_request_error", "response_format");
+}
+
+/**
+ * Convert an arena model into an OpenAI model object, arena specifics go in the `lmarena` extension
+ * @param {any} model Model object from `LMArena.models`
+ * @param {number} created Unix timestamp the model list was fetched at
+ */
+export function toOAIModel(model, created) {
+   const anonymous = isAnonymousModel(model);
+   return {
+      id: model.publicName,
+      object: "model",
+      created,
+      owned_by: anonymous ? "anonymous" : model.organization,
+      lmarena: {
+         id: model.id,
+         organization: model.organization ?? null,
+         provider: model.provider ?? null,
+         anonymous,
+         capabilities: {
+            inputCapabilities: model.capabilities?.inputCapabilities ?? {},
+            outputCapabilities: model.capabilities?.outputCapabilities ?? {}
+         }
+      }
+   };
+}
+
+/**
+ * Run one image-modality generation and collect the `a2` image items
+ * @param {import("../LMArena.mjs").LMArena} lmArena
+ * @param {string} modelName
+ * @param {string} prompt
+ * @param {Array<Attachment>} inputs Input images, uploaded to R2 before the turn is sent
+ * @param {AbortSignal} [signal] Stops the generation, see `clientSignal`
+ * @returns {Promise<Array<{ url: string, mimeType: string }>>}
+ */
+async function runImageGeneration(lmArena, modelName, prompt, inputs, signal) {
+   const chat = lmArena.startChat(modelName, "image");
+   for (const att of inputs) {
+      if (att.r2BucketUrl !== null) continue;
+      const { url, key } = await lmArena.sessionManager.uploadAttachmentToR2(
+         chat.session,
+         att
+      );
+      att.r2Key = key;
+      att.r2BucketUrl = url;
+   }
+
+   const images = [];
+   for await (const chunk of chat.sendMessage(
+      {
+         role: "user",
+         content: prompt,
+         attachments: inputs
+      },
+      false,
+      { signal }
+   )) {
+      if (isErrorEvent(chunk)) {
+         throw arenaApiError(chunk.data);
+      } else if (chunk.event === "a2") {
+         for (const item of chunk.data) {
+            if (item.type === "image") {
+               images.push({ url: item.image, mimeType: item.mimeType });
+            }
+         }
+      } else if (chunk.event === "ad") {
+         break;
+      }
+   }
+
+   if (images.length === 0) {
+      throw new ApiError(502, "The model returned no images.", "server_error");
+   }
+   return images;
+}
+
+/**
+ * Shared body of the generations and edits endpoints
+ * @param {import("../LMArena.mjs").LMArena} lmArena
+ * @param {{ model: string, prompt: string, n?: any, response_format?: string }} params
+ * @param {Array<Attachment>} inputs
+ * @param {import("../ApiKeyStore.mjs").ApiKeyRecord} apiKey
+ * @param {AbortSignal} [signal] Stops the generations and downloads when the client disconnects
+ */
+async function createImageResponse(lmArena, params, inputs, apiKey, signal) {
+   const model = resolveModel(lmArena, params.model, "image", apiKey);
+   if (typeof params.prompt !== "string" || params.prompt.length === 0) {
+      throw new ApiError(400, "You must provide a prompt.", "invalid_request_error", "prompt");
+   }
+   if (inputs.length > 0 && !model.capabilities.inputCapabilities.image) {
+      throw new ApiError(400, `The model '${params.model}' does not support image inputs.`, "invalid_request_error", "image");
+   }
+   const n = Number(params.n ?? 1);
+   if (!Number.isInteger(n) || n < 1 || n > MAX_IMAGES_PER_REQUEST) {
+      throw new ApiError(400, `n must be an integer between 1 and ${MAX_IMAGES_PER_REQUEST}.`, "invalid_request_error", "n");
+   }
+   const responseFormat = params.response_format ?? "url";
+   if (responseFormat !== "url" && responseFormat !== "b64_json") {
+      throw new ApiError(400, "response_format must be 'url' or 'b64_json'.", "invalid_request_error", "response_format");
+   }
+
+   const images = [];
+   for (let i = 0; i < n; i++) {
+      signal?.throwIfAborted();
+      images.push(
+         ...(await runImageGeneration(lmArena, params.model, params.prompt, inputs, signal))
+      );
+   }
+
+   const data = [];
+   for (const image of images) {
+      if (responseFormat === "url") {
+         data.push({ url: image.url });
+      } else {
+         const response = await fetch(image.url, { signal });
+         if (!response.ok) {
+            await response.body?.cancel();
+            throw new ApiError(502, `Failed to fetch the generated image. Status: ${response.status}`, "server_error");
+         }
+         data.push({ b64_json: Buffer.from(await response.arrayBuffer()).toString("base64") });
+      }
+   }
+   return { created: Math.floor(Date.now() / 1000), data };
+}
+
+/**
+ * Read the input images of an edit request, either JSON (URLs / data URLs) or multipart uploads
+ * @param {import("express").Request} req
+ * @returns {Promise<{ params: any, inputs: Array<Attachment> }>}
+ */
+async function readImageEditRequest(req) {
+   if (req.is("multipart/form-data")) {
+      const form = await readFormData(req);
+      const inputs = [];
+      // The mask is not supported by the arena, it is accepted and ignored
+      for (const value of [...form.getAll("image"), ...form.getAll("image[]")]) {
+         if (typeof value === "string") {
+            inputs.push(await fetchImageAttachment(value));
+         } else {
+            inputs.push(await fileToAttachment(value));
+         }
+      }
+      const params = Object.fromEntries(
+         [...form.entries()].filter(([, value]) => typeof value === "string")
+      );
+      return { params, inputs };
+   }
+
+   const params = req.body ?? {};
+   const sources = [params.image, params.images]
+      .flat()
+      .filter(Boolean)
+      .map((src) =>
+         typeof src === "string" ? src : (src.image_url?.url ?? src.image_url)
+      );
+   const inputs = [];
+   for (const src of sources) {
+      inputs.push(await fetchImageAttachment(src));
+   }
+   return { params, inputs };
+}
+
+/**
+ * Render an error in the OpenAI error format
+ * @param {import("express").Response} res
+ * @param {any} err
+ */
+export function sendOAIError(res, err) {
+   err = toApiError(err);
+   const status = err instanceof ApiError ? err.status : err.status || 500;
+   res.status(status).json({
+      error: {
+         message: err.message || "Internal server error",
+         type:
+            err instanceof ApiError
+               ? err.type
+               : status < 500
+                 ? "invalid_request_error"
+                 : "server_error",
+         param: err.param ?? null,
+         code: null
+      }
+   });
+}
+
+/**
+ * @param {import("../LMArena.mjs").LMArena} lmArena
+ * @param {import("../OPLogger.mjs").Logger} logger
+ * @returns {Router}
+ */
+export function createOpenAIRouter(lmArena, logger) {
+   const router = Router();
+
+   router.get("/v1/models", requireApiKey, (req, res) => {
+      const store = getApiKeyStore();
+      res.json({
+         object: "list",
+         data: Array.from(lmArena.models.values())
+            .filter((model) => store.isModelAllowed(res.locals.apiKey, model.publicName))
+            .map((model) => toOAIModel(model, lmArena.modelsUpdatedAt))
+      });
+   });
+
+   // Wildcard since some public names contain slashes
+   router.get("/v1/models/*name", requireApiKey, (req, res) => {
+      const name = req.params.name.join("/");
+      const model = lmArena.models.get(name);
+      if (!model || !getApiKeyStore().isModelAllowed(res.locals.apiKey, name)) {
+         throw new ApiError(404, `The model '${name}' does not exist.`, "not_found_error", "model");
+      }
+      res.json(toOAIModel(model, lmArena.modelsUpdatedAt));
+   });
+
+   router.post("/v1/chat/completions", requireApiKey, jsonBody, async (req, res) => {
+      const body = req.body ?? {};
+      const model = resolveModel(lmArena, body.model, "text", res.locals.apiKey);
+      const turns = await convertOAIMessages(body.messages);
+      const toolOptions = readOAITools(body);
+      const schema = readResponseFormat(body);
+      if (schema && toolOptions.tools) {
+         throw new ApiError(400, "tools can't be combined with a JSON response_format.", "invalid_request_error", "response_format");
+      }
+      const message = flattenConversation(turns);
+      if (
+         message.attachments.length > 0 &&
+         !model.capabilities.inputCapabilities.image
+      ) {
+         throw new ApiError(400, `The model '${body.model}' does not support image inputs.`, "invalid_request_error", "messages");
+      }
+
+      const chat = lmArena.startChat(body.model, "chat");
+      const promptTokens = estimateTokens(message.content);
+      // Reasoning tokens are part of the completion tokens, like OpenAI reports them
+      let completionTokens = 0;
+      let reasoningTokens = 0;
+      const usage = () => ({
+         prompt_tokens: promptTokens,
+         completion_tokens: completionTokens,
+         total_tokens: promptTokens + completionTokens,
+         completion_tokens_details: { reasoning_tokens: reasoningTokens }
+      });
+      const countTokens = (delta) => {
+         if (delta.content) completionTokens++;
+         if (delta.reasoning_content) {
+            completionTokens++;
+            reasoningTokens++;
+         }
+      };
+      logger.info(
+         `chat.completions key=${res.locals.apiKey.id} model=${body.model} stream=${!!body.stream} session=${chat.session.sessionId}`
+      );
+
+      const signal = clientSignal(res);
+      if (schema) {
+         let result;
+         try {
+            result = await chat.sendMessageJSON(message, schema, { signal });
+         } catch (err) {
+            if (err instanceof StructuredOutputError) {
+               throw new ApiError(502, err.message, "server_error");
+            }
+            throw err;
+         }
+         completionTokens = result.attempts.reduce((n, a) => n + a.outputTokens, 0);
+         recordApiUsage(res, body.model, {
+            inputTokens: promptTokens,
+            outputTokens: completionTokens
+         });
+         const id = `chatcmpl-${randomUUID()}`;
+         const created = Math.floor(Date.now() / 1000);
+         const content = JSON.stringify(result.value);
+         if (body.stream) {
+            // Replies can be rejected and repaired, so only the validated JSON is streamed, in one chunk
+            beginEventStream(res);
+            const chunk = (delta, finishReason) => ({
+               id,
+               object: "chat.completion.chunk",
+               created,
+               model: body.model,
+               choices: [{ index: 0, delta, finish_reason: finishReason }]
+            });
+            res.write(`data: ${JSON.stringify(chunk({ role: "assistant", content }, null))}\n\n`);
+            res.write(`data: ${JSON.stringify(chunk({}, "stop"))}\n\n`);
+            if (body.stream_options?.include_usage) {
+               res.write(`data: ${JSON.stringify({ ...chunk({}, null), choices: [], usage: usage() })}\n\n`);
+            }
+            res.end("data: [DONE]\n\n");
+            return;
+         }
+         res.json({
+            id,
+            object: "chat.completion",
+            created,
+            model: body.model,
+            choices: [
+               {
+                  index: 0,
+                  message: { role: "assistant", content, refusal: null },
+                  logprobs: null,
+                  finish_reason: "stop"
+               }
+            ],
+            usage: usage()
+         });
+         return;
+      }
+
+      if (body.stream) {
+         beginEventStream(res);
+         let last = null;
+         try {
+            for await (const chunk of chat.sendMessageOAICompat(message, null, { ...toolOptions, signal })) {
+               countTokens(chunk.choices[0].delta);
+               last = chunk;
+               res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+            }
+            if (body.stream_options?.include_usage && last) {
+               res.write(
+                  `data: ${JSON.stringify({ ...last, choices: [], usage: usage() })}\n\n`
+               );
+            }
+         } catch (e) {
+            // A stopped turn throws the abort, the client that would get the error is gone
+            if (!signal.aborted) {
+               logger.error(`chat.completions stream failed: ${e.message}`);
+               const err = toApiError(e);
+               const type = err instanceof ApiError ? err.type : "server_error";
+               res.write(`data: ${JSON.stringify({ error: { message: err.message, type, param: null, code: null } })}\n\n`);
+            }
+         }
+         res.end("data: [DONE]\n\n");
+         recordApiUsage(res, body.model, {
+            inputTokens: promptTokens,
+            outputTokens: completionTokens
+         });
+         return;
+      }
+
+      let content = "";
+      let reasoning = "";
+      let finishReason = "stop";
+      let last = null;
+      const toolCalls = [];
+      for await (const chunk of chat.sendMessageOAICompat(message, null, { ...toolOptions, signal })) {
+         const choice = chunk.choices[0];
+         countTokens(choice.delta);
+         content += choice.delta.content ?? "";
+         reasoning += choice.delta.reasoning_content ?? "";
+         for (const delta of choice.delta.tool_calls ?? []) {
+            if (delta.id) {
+               toolCalls[delta.index] = { id: delta.id, type: "function", function: { ...delta.function } };
+            } else {
+               toolCalls[delta.index].function.arguments += delta.function.arguments;
+            }
+         }
+         if (choice.finish_reason) finishReason = choice.finish_reason;
+         last = chunk;
+      }
+      recordApiUsage(res, body.model, {
+         inputTokens: promptTokens,
+         outputTokens: completionTokens
+      });
+      res.json({
+         id: last.id,
+         object: "chat.completion",
+         created: last.created,
+         model: body.model,
+         choices: [
+            {
+               index: 0,
+               message: {
+                  role: "assistant",
+                  content: content || (toolCalls.length > 0 ? null : ""),
+                  refusal: null,
+                  ...(reasoning ? { reasoning_content: reasoning } : {}),
+                  ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {})
+               },
+               logprobs: null,
+               finish_reason: finishReason
+            }
+         ],
+         usage: usage()
+      });
+   });
+
+   router.post("/v1/images/generations", requireApiKey, jsonBody, async (req, res) => {
+      const params = req.body ?? {};
+      logger.info(
+         `images.generations key=${res.locals.apiKey.id} model=${params.model} n=${params.n ?? 1}`
+      );
+      const response = await createImageResponse(lmArena, params, [], res.locals.apiKey, clientSignal(res));
+      recordApiUsage(res, params.model);
+      res.json(response);
+   });
+
+   router.post("/v1/images/edits", requireApiKey, jsonBody, async (req, res) => {
+      const { params, inputs } = await readImageEditRequest(req);
+      if (inputs.length === 0) {
+         throw new ApiError(400, "You must provide at least one image.", "invalid_request_error", "image");
+      }
+      logger.info(
+         `images.edits key=${res.locals.apiKey.id} model=${params.model} n=${params.n ?? 1} images=${inputs.length}`
+      );
+      const response = await createImageResponse(lmArena, params, inputs, res.locals.apiKey, clientSignal(res));
+      recordApiUsage(res, params.model);
+      res.json(response);
+   });
+
+   router.use("/v1", (e, req, res, next) => {
+      // The client disconnected and the turn was stopped for it, there's nobody to answer
+      if (res.locals.clientSignal?.aborted) return;
+      if (res.headersSent) return next(e);
+      const err = toApiError(e);
+      if (!(err instanceof ApiError) && !(err.status < 500)) {
+         logger.error(err.stack || String(err));
+      }
+      sendOAIError(res, err);
+   });
+
+   return router;
+}
@@ -0,0 +1,509 @@
+// responses.mjs
+// OpenAI Responses API, each response ID maps onto a live arena session so that
+// previous_response_id continues the evaluation server-side instead of resending history
+
+import { Router } from "express";
+import { randomBytes } from "node:crypto";
+import {
+   ApiError,
+   arenaApiError,
+   beginEventStream,
+   clientSignal,
+   estimateTokens,
+   fetchImageAttachment,
+   flattenConversation,
+   jsonBody,
+   recordApiUsage,
+   requireApiKey,
+   resolveModel,
+   toApiError
+} from "./common.mjs";
+import { sendOAIError } from "./openai.mjs";
+import { formatToolCall, formatToolResult } from "../ToolCalls.mjs";
+import { isErrorEvent } from "../ArenaErrors.mjs";
+
+/**
+ * @typedef {import('./common.mjs').ApiTurn} ApiTurn
+ * @typedef {import("../LMArena.mjs").Chat} Chat
+ * @typedef {import('../ToolCalls.mjs').ToolOptions} ToolOptions
+ */
+
+/**
+ * @typedef {Object} StoredResponse
+ * @property {any} response The response object as returned to the client
+ * @property {Chat} chat Arena session the response belongs to
+ * @property {string} apiKeyId Key that created the response, other keys can't see or continue it
+ * @property {number} lastUsed
+ */
+
+// Idle arena sessions are dropped after this long
+const RESPONSE_TTL_MS = 6 * 60 * 60 * 1000;
+
+const makeId = (prefix) => `${prefix}_${randomBytes(24).toString("hex")}`;
+
+/**
+ * Convert Responses API `input` into protocol-neutral turns
+ * @param {string | Array<any>} input
+ * @param {string | undefined} instructions
+ * @returns {Promise<Array<ApiTurn>>}
+ */
+export async function convertResponsesInput(input, instructions) {
+   /** @type {Array<ApiTurn>} */
+   const turns = [];
+   if (instructions) {
+      turns.push({ role: "system", content: instructions, attachments: [] });
+   }
+   if (typeof input === "string") {
+      turns.push({ role: "user", content: input, attachments: [] });
+      return turns;
+   }
+   if (!Array.isArray(input)) {
+      throw new ApiError(400, "input must be a string or an array of input items.", "invalid_request_error", "input");
+   }
+   for (const item of input) {
+      if (item.type === "function_call_output") {
+         const output = typeof item.output === "string" ? item.output : JSON.stringify(item.output);
+         turns.push({ role: "user", content: formatToolResult(item.call_id, output), attachments: [] });
+         continue;
+      }
+      if (item.type === "function_call") {
+         let args;
+         try {
+            args = JSON.parse(item.arguments || "{}");
+         } catch (e) {
+            throw new ApiError(400, `Function call '${item.call_id}' has invalid JSON arguments.`, "invalid_request_error", "input");
+         }
+         turns.push({ role: "assistant", content: formatToolCall({ name: item.name, args }), attachments: [] });
+         continue;
+      }
+      if (item.type && item.type !== "message") {
+         throw new ApiError(400, `Unsupported input item type '${item.type}'.`, "invalid_request_error", "input");
+      }
+      const role = item.role === "developer" ? "system" : item.role;
+      if (!["system", "user", "assistant"].includes(role)) {
+         throw new ApiError(400, `Unsupported role '${item.role}'.`, "invalid_request_error", "input");
+      }
+      /** @type {ApiTurn} */
+      const turn = { role, content: "", attachments: [] };
+      if (typeof item.content === "string") {
+         turn.content = item.content;
+      } else if (Array.isArray(item.content)) {
+         const textParts = [];
+         for (const part of item.content) {
+            if (part.type === "input_text" || part.type === "output_text") {
+               textParts.push(part.text);
+            } else if (part.type === "input_image") {
+               turn.attachments.push(await fetchImageAttachment(part.image_url));
+            } else {
+               throw new ApiError(400, `Unsupported content type '${part.type}'.`, "invalid_request_error", "input");
+            }
+         }
+         turn.content = textParts.join("\n");
+      }
+      turns.push(turn);
+   }
+   return turns;
+}
+
+/**
+ * Read the function tools of a Responses request
+ * @param {any} body
+ * @returns {ToolOptions}
+ */
+export function readResponsesTools(body) {
+   if (!body.tools) return {};
+   if (!Array.isArray(body.tools)) {
+      throw new ApiError(400, "tools must be an array.", "invalid_request_error", "tools");
+   }
+   const tools = body.tools.map((tool) => {
+      if (tool.type !== "function" || typeof tool.name !== "string") {
+         throw new ApiError(400, "Only function tools are supported.", "invalid_request_error", "tools");
+      }
+      return { name: tool.name, description: tool.description, parameters: tool.parameters };
+   });
+   const choice = body.tool_choice;
+   return {
+      tools,
+      toolChoice: typeof choice === "object" && choice !== null ? { name: choice.name } : choice ?? "auto"
+   };
+}
+
+// HTTP status of a failed non-streaming response by its error code, the rest are reported as 502
+const FAILED_RESPONSE_STATUSES = {
+   content_filter: 400,
+   rate_limit_error: 429
+};
+
+/**
+ * Run a turn on the chat, filling in `response` and yielding Responses streaming events
+ * @param {Chat} chat
+ * @param {Omit<import('types/lmarena').ChatMessage, "id">} message
+ * @param {any} response Response object in the in_progress state, completed in place
+ * @param {import('../LMArena.mjs').SendOptions} [toolOptions={}] `signal` stops the turn, the response is then
+ * left cancelled
+ * @returns {AsyncGenerator<any>}
+ */
+async function* runResponse(chat, message, response, toolOptions = {}) {
+   let sequenceNumber = 0;
+   const event = (type, fields) => ({
+      type,
+      sequence_number: sequenceNumber++,
+      ...fields
+   });
+
+   yield event("response.created", { response: structuredClone(response) });
+   yield event("response.in_progress", { response: structuredClone(response) });
+
+   let textItem = null;
+   let reasoningItem = null;
+   let outputTokens = 0;
+
+   const closeReasoning = function* () {
+      if (!reasoningItem) return;
+      const outputIndex = response.output.indexOf(reasoningItem);
+      yield event("response.reasoning_summary_text.done", {
+         item_id: reasoningItem.id,
+         output_index: outputIndex,
+         summary_index: 0,
+         text: reasoningItem.summary[0].text
+      });
+      yield event("response.reasoning_summary_part.done", {
+         item_id: reasoningItem.id,
+         output_index: outputIndex,
+         summary_index: 0,
+         part: reasoningItem.summary[0]
+      });
+      reasoningItem.status = "completed";
+      yield event("response.output_item.done", {
+         output_index: outputIndex,
+         item: reasoningItem
+      });
+      reasoningItem = null;
+   };
+
+   try {
+      for await (const chunk of chat.sendMessage(message, false, toolOptions)) {
+         if (
+            chunk.event === "a9" &&
+            toolOptions.tools?.some((t) => t.name === chunk.data.toolName)
+         ) {
+            yield* closeReasoning();
+            const args = JSON.stringify(chunk.data.args ?? {});
+            const item = {
+               type: "function_call",
+               id: makeId("fc"),
+               call_id: chunk.data.toolCallId,
+               name: chunk.data.toolName,
+               arguments: "",
+               status: "in_progress"
+            };
+            response.output.push(item);
+            const outputIndex = response.output.length - 1;
+            yield event("response.output_item.added", {
+               output_index: outputIndex,
+               item: structuredClone(item)
+            });
+            yield event("response.function_call_arguments.delta", {
+               item_id: item.id,
+               output_index: outputIndex,
+               delta: args
+            });
+            item.arguments = args;
+            yield event("response.function_call_arguments.done", {
+               item_id: item.id,
+               output_index: outputIndex,
+               arguments: args
+            });
+            item.status = "completed";
+            yield event("response.output_item.done", { output_index: outputIndex, item });
+         } else if (chunk.event === "ag") {
+            outputTokens++;
+            if (!reasoningItem) {
+               reasoningItem = {
+                  type: "reasoning",
+                  id: makeId("rs"),
+                  status: "in_progress",
+                  summary: []
+               };
+               response.output.push(reasoningItem);
+               const outputIndex = response.output.length - 1;
+               yield event("response.output_item.added", {
+                  output_index: outputIndex,
+                  item: structuredClone(reasoningItem)
+               });
+               reasoningItem.summary.push({ type: "summary_text", text: "" });
+               yield event("response.reasoning_summary_part.added", {
+                  item_id: reasoningItem.id,
+                  output_index: outputIndex,
+                  summary_index: 0,
+                  part: { type: "summary_text", text: "" }
+               });
+            }
+            reasoningItem.summary[0].text += chunk.data;
+            yield event("response.reasoning_summary_text.delta", {
+               item_id: reasoningItem.id,
+               output_index: response.output.indexOf(reasoningItem),
+               summary_index: 0,
+               delta: chunk.data
+            });
+         } else if (chunk.event === "a0") {
+            yield* closeReasoning();
+            outputTokens++;
+            if (!textItem) {
+               textItem = {
+                  type: "message",
+                  id: makeId("msg"),
+                  status: "in_progress",
+                  role: "assistant",
+                  content: []
+               };
+               response.output.push(textItem);
+               yield event("response.output_item.added", {
+                  output_index: response.output.length - 1,
+                  item: structuredClone(textItem)
+               });
+               textItem.content.push({ type: "output_text", text: "", annotations: [] });
+               yield event("response.content_part.added", {
+                  item_id: textItem.id,
+                  output_index: response.output.length - 1,
+                  content_index: 0,
+                  part: { type: "output_text", text: "", annotations: [] }
+               });
+            }
+            textItem.content[0].text += chunk.data;
+            yield event("response.output_text.delta", {
+               item_id: textItem.id,
+               output_index: response.output.indexOf(textItem),
+               content_index: 0,
+               delta: chunk.data
+            });
+         } else if (isErrorEvent(chunk)) {
+            throw arenaApiError(chunk.data);
+         } else if (chunk.event === "ad") {
+            if (chunk.data?.finishReason === "length") {
+               response.status = "incomplete";
+               response.incomplete_details = { reason: "max_output_tokens" };
+            }
+            break;
+         }
+      }
+   } catch (e) {
+      if (toolOptions.signal?.aborted) {
+         response.status = "cancelled";
+         return;
+      }
+      const err = toApiError(e);
+      response.status = "failed";
+      response.output = [];
+      response.error = {
+         code: err instanceof ApiError ? err.type : "server_error",
+         message: err.message
+      };
+      yield event("response.failed", { response: structuredClone(response) });
+      return;
+   }
+
+   yield* closeReasoning();
+   if (textItem) {
+      const outputIndex = response.output.indexOf(textItem);
+      const part = textItem.content[0];
+      yield event("response.output_text.done", {
+         item_id: textItem.id,
+         output_index: outputIndex,
+         content_index: 0,
+         text: part.text
+      });
+      yield event("response.content_part.done", {
+         item_id: textItem.id,
+         output_index: outputIndex,
+         content_index: 0,
+         part
+      });
+      textItem.status = "completed";
+      yield event("response.output_item.done", {
+         output_index: outputIndex,
+         item: textItem
+      });
+   }
+
+   if (response.status === "in_progress") response.status = "completed";
+   response.output_text = textItem ? textItem.content[0].text : "";
+   response.usage.output_tokens = outputTokens;
+   response.usage.total_tokens = response.usage.input_tokens + outputTokens;
+   yield event(
+      response.status === "completed" ? "response.completed" : "response.incomplete",
+      { response: structuredClone(response) }
+   );
+}
+
+/**
+ * @param {import("../LMArena.mjs").LMArena} lmArena
+ * @param {import("../OPLogger.mjs").Logger} logger
+ * @returns {Router}
+ */
+export function createResponsesRouter(lmArena, logger) {
+   const router = Router();
+   /** @type {Map<string, StoredResponse>} */
+   const responses = new Map();
+   /** @type {WeakMap<Chat, { latestResponseId: string | null, busy: boolean }>} */
+   const conversations = new WeakMap();
+
+   const prune = () => {
+      const cutoff = Date.now() - RESPONSE_TTL_MS;
+      for (const [id, stored] of responses) {
+         if (stored.lastUsed < cutoff) responses.delete(id);
+      }
+   };
+
+   /**
+    * Look up a stored response, responses owned by another key are reported as missing
+    * @param {string} id
+    * @param {import("express").Response} res
+    * @returns {StoredResponse | undefined}
+    */
+   const getOwnResponse = (id, res) => {
+      const stored = responses.get(id);
+      return stored?.apiKeyId === res.locals.apiKey.id ? stored : undefined;
+   };
+
+   router.post("/v1/responses", requireApiKey, jsonBody, async (req, res) => {
+      prune();
+      const body = req.body ?? {};
+
+      /** @type {Chat} */
+      let chat;
+      let conversation;
+      let modelName = body.model;
+      if (body.previous_response_id) {
+         const previous = getOwnResponse(body.previous_response_id, res);
+         if (!previous) {
+            throw new ApiError(404, `Previous response with id '${body.previous_response_id}' not found.`, "invalid_request_error", "previous_response_id");
+         }
+         chat = previous.chat;
+         conversation = conversations.get(chat);
+         if (conversation.latestResponseId !== body.previous_response_id) {
+            // The arena session only moves forward, it can't fork from an older turn
+            throw new ApiError(400, "Only the latest response in a conversation can be continued.", "invalid_request_error", "previous_response_id");
+         }
+         if (conversation.busy) {
+            throw new ApiError(409, "A response for this conversation is already in progress.", "invalid_request_error", "previous_response_id");
+         }
+         modelName ??= chat.session.modelName;
+         if (modelName !== chat.session.modelName) {
+            throw new ApiError(400, `The previous response was generated by '${chat.session.modelName}', the model can't change mid-conversation.`, "invalid_request_error", "model");
+         }
+         previous.lastUsed = Date.now();
+      }
+
+      const model = resolveModel(lmArena, modelName, "text", res.locals.apiKey);
+      const toolOptions = readResponsesTools(body);
+      const message = flattenConversation(
+         await convertResponsesInput(body.input, body.instructions)
+      );
+      if (message.attachments.length > 0 && !model.capabilities.inputCapabilities.image) {
+         throw new ApiError(400, `The model '${modelName}' does not support image inputs.`, "invalid_request_error", "input");
+      }
+      if (!chat) {
+         chat = lmArena.startChat(modelName, "chat");
+         conversation = { latestResponseId: null, busy: false };
+         conversations.set(chat, conversation);
+      }
+
+      const response = {
+         id: makeId("resp"),
+         object: "response",
+         created_at: Math.floor(Date.now() / 1000),
+         status: "in_progress",
+         error: null,
+         incomplete_details: null,
+         instructions: body.instructions ?? null,
+         model: modelName,
+         output: [],
+         previous_response_id: body.previous_response_id ?? null,
+         store: body.store !== false,
+         metadata: body.metadata ?? {},
+         tools: body.tools ?? [],
+         tool_choice: body.tool_choice ?? "auto",
+         usage: {
+            input_tokens: estimateTokens(message.content),
+            output_tokens: 0,
+            total_tokens: 0
+         }
+      };
+      logger.info(
+         `responses key=${res.locals.apiKey.id} model=${modelName} stream=${!!body.stream} session=${chat.session.sessionId} previous=${response.previous_response_id}`
+      );
+
+      const signal = clientSignal(res);
+      if (body.stream) beginEventStream(res);
+
+      conversation.busy = true;
+      try {
+         for await (const ev of runResponse(chat, message, response, { ...toolOptions, signal })) {
+            if (body.stream && !signal.aborted) {
+               res.write(`event: ${ev.type}\ndata: ${JSON.stringify(ev)}\n\n`);
+            }
+         }
+      } finally {
+         conversation.busy = false;
+      }
+      recordApiUsage(res, modelName, {
+         inputTokens: response.usage.input_tokens,
+         outputTokens: response.usage.output_tokens
+      });
+
+      if (response.status !== "failed" && response.status !== "cancelled") {
+         conversation.latestResponseId = response.id;
+      }
+      if (response.store) {
+         responses.set(response.id, {
+            response,
+            chat,
+            apiKeyId: res.locals.apiKey.id,
+            lastUsed: Date.now()
+         });
+      }
+
+      // Nobody left to answer
+      if (signal.aborted) return;
+      if (body.stream) {
+         res.end();
+      } else if (response.status === "failed") {
+         throw new ApiError(
+            FAILED_RESPONSE_STATUSES[response.error.code] ?? 502,
+            response.error.message,
+            response.error.code
+         );
+      } else {
+         res.json(response);
+      }
+   });
+
+   router.get("/v1/responses/:id", requireApiKey, (req, res) => {
+      const stored = getOwnResponse(req.params.id, res);
+      if (!stored) {
+         throw new ApiError(404, `Response with id '${req.params.id}' not found.`, "invalid_request_error");
+      }
+      res.json(stored.response);
+   });
+
+   router.delete("/v1/responses/:id", requireApiKey, (req, res) => {
+      if (!getOwnResponse(req.params.id, res) || !responses.delete(req.params.id)) {
+         throw new ApiError(404, `Response with id '${req.params.id}' not found.`, "invalid_request_error");
+      }
+      res.json({ id: req.params.id, object: "response", deleted: true });
+   });
+
+   router.use("/v1/responses", (e, req, res, next) => {
+      // The client disconnected and the turn was stopped for it, there's nobody to answer
+      if (res.locals.clientSignal?.aborted) return;
+      if (res.headersSent) return next(e);
+      const err = toApiError(e);
+      if (!(err instanceof ApiError) && !(err.status < 500)) {
+         logger.error(err.stack || String(err));
+      }
+      sendOAIError(res, err);
+   });
+
+   return router;
+}
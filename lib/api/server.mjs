@@ -0,0 +1,50 @@
+// server.mjs
+// HTTP server hosting the protocol front-ends on top of the shared LMArena instance
+
+import express from "express";
+import cors from "cors";
+import { getLMArena } from "../LMArenaSingleton.mjs";
+import { createOpenAIRouter } from "./openai.mjs";
+import { createResponsesRouter } from "./responses.mjs";
+import { createVideosRouter } from "./videos.mjs";
+import { createAnthropicRouter } from "./anthropic.mjs";
+import { createOllamaRouter } from "./ollama.mjs";
+import { attachWebSocketGateway } from "./websocket.mjs";
+
+/**
+ * Build the express app without binding it to a port
+ * @param {import("../LMArena.mjs").LMArena} lmArena
+ * @returns {import("express").Express}
+ */
+export function createApiServer(lmArena) {
+   const logger = lmArena.logger.makeChild("api");
+   const app = express();
+   app.disable("x-powered-by");
+   app.use(cors());
+
+   app.use(createOpenAIRouter(lmArena, logger));
+   app.use(createResponsesRouter(lmArena, logger));
+   app.use(createVideosRouter(lmArena, logger));
+   app.use(createAnthropicRouter(lmArena, logger));
+   app.use(createOllamaRouter(lmArena, logger));
+
+   return app;
+}
+
+/**
+ * Start the API server on the given port
+ * @param {number} port
+ * @returns {Promise<import("node:http").Server>}
+ */
+export async function startApiServer(port) {
+   const lmArena = await getLMArena();
+   const app = createApiServer(lmArena);
+   return new Promise((resolve) => {
+      const server = app.listen(port, () => {
+         attachWebSocketGateway(server, lmArena, lmArena.logger.makeChild("ws"));
+         console.log(`API server listening on port ${port}`);
+         lmArena.logger.info(`API server listening on port ${port}`);
+         resolve(server);
+      });
+   });
+}
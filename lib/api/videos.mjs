@@ -0,0 +1,213 @@
+// videos.mjs
+// OpenAI-compatible video generation. Videos take minutes, so creating one returns a job that clients poll
+// and download from once it's completed
+
+import { Router } from "express";
+import { randomBytes } from "node:crypto";
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import {
+   ApiError,
+   clientSignal,
+   fetchImageAttachment,
+   jsonBody,
+   recordApiUsage,
+   requireApiKey,
+   resolveModel,
+   toApiError
+} from "./common.mjs";
+import { sendOAIError } from "./openai.mjs";
+
+/**
+ * @typedef {Object} VideoJob
+ * @property {string} id
+ * @property {"video"} object
+ * @property {string} model
+ * @property {string} prompt
+ * @property {"queued" | "in_progress" | "completed" | "failed"} status
+ * @property {number} progress 0-100
+ * @property {number} created_at
+ * @property {number | null} completed_at
+ * @property {{ code: string, message: string } | null} error
+ */
+
+/**
+ * @typedef {Object} StoredVideo
+ * @property {VideoJob} job The job as returned to the client
+ * @property {string} apiKeyId Key that created the job, other keys can't see it
+ * @property {{ url: string, mimeType: string } | null} video
+ */
+
+// Finished jobs are dropped after this long, the arena's video URLs don't last much longer
+const VIDEO_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Failed jobs report arena failures under these codes
+const VIDEO_ERROR_CODES = {
+   moderation: "moderation_blocked",
+   rate_limit: "rate_limit_exceeded",
+   auth_expired: "service_unavailable",
+   network: "upstream_unavailable"
+};
+
+const makeId = () => `video_${randomBytes(24).toString("hex")}`;
+
+/**
+ * @param {import("../LMArena.mjs").LMArena} lmArena
+ * @param {import("../OPLogger.mjs").Logger} logger
+ * @returns {Router}
+ */
+export function createVideosRouter(lmArena, logger) {
+   const router = Router();
+   /** @type {Map<string, StoredVideo>} */
+   const videos = new Map();
+
+   const prune = () => {
+      const cutoff = Date.now() - VIDEO_TTL_MS;
+      for (const [id, stored] of videos) {
+         if ((stored.job.completed_at ?? Infinity) * 1000 < cutoff) videos.delete(id);
+      }
+   };
+
+   /**
+    * Look up a job, jobs owned by another key are reported as missing
+    * @param {string} id
+    * @param {import("express").Response} res
+    * @returns {StoredVideo}
+    */
+   const getOwnVideo = (id, res) => {
+      const stored = videos.get(id);
+      if (stored?.apiKeyId !== res.locals.apiKey.id) {
+         throw new ApiError(404, `Video with id '${id}' not found.`, "invalid_request_error");
+      }
+      return stored;
+   };
+
+   /**
+    * Run the generation in the background, the job is updated as it goes
+    * @param {StoredVideo} stored
+    * @param {Array<import('types/lmarena').Attachment>} inputs
+    */
+   const runJob = async (stored, inputs) => {
+      const { job } = stored;
+      const chat = lmArena.startChat(job.model, "video");
+      try {
+         job.status = "in_progress";
+         const result = await chat.generateVideo(
+            { role: "user", content: job.prompt, attachments: inputs },
+            ({ progress }) => {
+               if (typeof progress === "number") job.progress = Math.round(progress);
+            }
+         );
+         if (result.videos.length === 0) {
+            job.status = "failed";
+            job.error = result.error
+               ? { code: VIDEO_ERROR_CODES[result.error.kind] ?? "generation_failed", message: result.error.message }
+               : { code: "generation_failed", message: "The model returned no video." };
+         } else {
+            stored.video = result.videos[0];
+            job.status = "completed";
+            job.progress = 100;
+         }
+      } catch (err) {
+         logger.error(err.stack || String(err));
+         job.status = "failed";
+         job.error = { code: "internal_error", message: err.message };
+      }
+      job.completed_at = Math.floor(Date.now() / 1000);
+      logger.info(`videos job=${job.id} model=${job.model} status=${job.status}`);
+   };
+
+   router.post("/v1/videos", requireApiKey, jsonBody, async (req, res) => {
+      prune();
+      const body = req.body ?? {};
+      const model = resolveModel(lmArena, body.model, "video", res.locals.apiKey);
+      if (typeof body.prompt !== "string" || body.prompt.length === 0) {
+         throw new ApiError(400, "You must provide a prompt.", "invalid_request_error", "prompt");
+      }
+      const inputs = [];
+      if (body.input_reference) {
+         if (!model.capabilities.inputCapabilities.image) {
+            throw new ApiError(400, `The model '${body.model}' does not support image inputs.`, "invalid_request_error", "input_reference");
+         }
+         const url = typeof body.input_reference === "string" ? body.input_reference : body.input_reference.image_url;
+         inputs.push(await fetchImageAttachment(url));
+      }
+
+      /** @type {StoredVideo} */
+      const stored = {
+         job: {
+            id: makeId(),
+            object: "video",
+            model: body.model,
+            prompt: body.prompt,
+            status: "queued",
+            progress: 0,
+            created_at: Math.floor(Date.now() / 1000),
+            completed_at: null,
+            error: null
+         },
+         apiKeyId: res.locals.apiKey.id,
+         video: null
+      };
+      videos.set(stored.job.id, stored);
+      logger.info(`videos.create key=${res.locals.apiKey.id} model=${body.model} job=${stored.job.id}`);
+      recordApiUsage(res, body.model);
+      runJob(stored, inputs);
+      res.json(stored.job);
+   });
+
+   router.get("/v1/videos", requireApiKey, (req, res) => {
+      prune();
+      const data = Array.from(videos.values())
+         .filter((stored) => stored.apiKeyId === res.locals.apiKey.id)
+         .map((stored) => stored.job)
+         .reverse();
+      res.json({ object: "list", data });
+   });
+
+   router.get("/v1/videos/:id", requireApiKey, (req, res) => {
+      res.json(getOwnVideo(req.params.id, res).job);
+   });
+
+   router.get("/v1/videos/:id/content", requireApiKey, async (req, res) => {
+      const stored = getOwnVideo(req.params.id, res);
+      if (stored.job.status !== "completed") {
+         throw new ApiError(409, `Video '${req.params.id}' is not completed yet.`, "invalid_request_error");
+      }
+      const signal = clientSignal(res);
+      try {
+         const upstream = await fetch(stored.video.url, { signal });
+         if (!upstream.ok || !upstream.body) {
+            await upstream.body?.cancel();
+            throw new ApiError(502, `Failed to fetch the video. Status: ${upstream.status}`, "server_error");
+         }
+         res.setHeader("Content-Type", stored.video.mimeType);
+         const length = upstream.headers.get("content-length");
+         if (length) res.setHeader("Content-Length", length);
+         await pipeline(Readable.fromWeb(/** @type {any} */ (upstream.body)), res);
+      } catch (err) {
+         // The client left, the download was stopped with it
+         if (signal.aborted) return;
+         if (err instanceof ApiError) throw err;
+         throw new ApiError(502, `Failed to fetch the video: ${err.message}`, "server_error");
+      }
+   });
+
+   router.delete("/v1/videos/:id", requireApiKey, (req, res) => {
+      getOwnVideo(req.params.id, res);
+      videos.delete(req.params.id);
+      res.json({ id: req.params.id, object: "video", deleted: true });
+   });
+
+   router.use("/v1/videos", (e, req, res, next) => {
+      if (res.locals.clientSignal?.aborted) return;
+      if (res.headersSent) return next(e);
+      const err = toApiError(e);
+      if (!(err instanceof ApiError) && !(err.status < 500)) {
+         logger.error(err.stack || String(err));
+      }
+      sendOAIError(res, err);
+   });
+
+   return router;
+}
@@ -0,0 +1,288 @@
+// websocket.mjs
+// WebSocket gateway, streams every raw arena event of a chat session over one long-lived socket
+//
+// Client -> server messages (JSON):
+//    { type: "create", model, modality? }                      start a new chat
+//    { type: "resume", sessionId }                             reattach to an existing chat
+//    { type: "message", requestId?, content, attachments?, tools?, toolChoice? }
+//                                                              tools are { name, description?, parameters? }, see ToolCalls.mjs
+//    { type: "message", requestId?, retry: true }              regenerate the last reply
+//    { type: "cancel", requestId? }                            stop the in-flight generation
+//    { type: "ping" }
+// Authenticate with an `Authorization: Bearer` header, or `?api_key=` where the client can't set headers.
+// Every create and message counts against the key's quotas.
+// Server -> client messages:
+//    { type: "session", sessionId, model, modality }
+//    { type: "event", requestId, event, name, data }           one per arena stream event
+//                                                              failures are "arena_error" events (cx, or ax/bx for one
+//                                                              side of a battle), data is ArenaErrorData, see ArenaErrors.mjs
+//    { type: "done", requestId, cancelled }
+//    { type: "error", requestId?, message }
+//    { type: "pong" }
+
+import { WebSocketServer } from "ws";
+import { randomUUID } from "node:crypto";
+import { LM_EVENT_NAMES } from "../LMArena.mjs";
+import { getApiKeyStore } from "../ApiKeyStore.mjs";
+import {
+   ApiError,
+   estimateTokens,
+   fetchImageAttachment,
+   readApiKey,
+   resolveModel
+} from "./common.mjs";
+
+/**
+ * @typedef {import("../LMArena.mjs").Chat} Chat
+ */
+
+/**
+ * @typedef {Object} GatewaySession
+ * @property {Chat} chat
+ * @property {string} apiKeyId Key that created the session, only it can resume it
+ * @property {string} modality
+ * @property {number} lastUsed
+ * @property {any} lastMessage Last user message sent, replayed on retry
+ * @property {import("../ToolCalls.mjs").ToolOptions} lastToolOptions Tools the last message was sent with
+ * @property {{ requestId: string, controller: AbortController } | null} inFlight Generation currently streaming,
+ * aborting its controller stops the arena request
+ */
+
+export const WS_PATH = "/v1/ws";
+
+// Sessions outlive their socket so clients can resume after reconnecting
+const SESSION_TTL_MS = 6 * 60 * 60 * 1000;
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+// Close code sent when the API key is missing or invalid
+const CLOSE_UNAUTHORIZED = 4401;
+
+/**
+ * Attach the gateway to the API's HTTP server
+ * @param {import("node:http").Server} server
+ * @param {import("../LMArena.mjs").LMArena} lmArena
+ * @param {import("../OPLogger.mjs").Logger} logger
+ * @returns {WebSocketServer}
+ */
+export function attachWebSocketGateway(server, lmArena, logger) {
+   const wss = new WebSocketServer({ server, path: WS_PATH });
+   /** @type {Map<string, GatewaySession>} */
+   const sessions = new Map();
+
+   const prune = () => {
+      const cutoff = Date.now() - SESSION_TTL_MS;
+      for (const [id, session] of sessions) {
+         if (!session.inFlight && session.lastUsed < cutoff) sessions.delete(id);
+      }
+   };
+
+   const heartbeat = setInterval(() => {
+      for (const ws of wss.clients) {
+         if (ws.isAlive === false) {
+            ws.terminate();
+            continue;
+         }
+         ws.isAlive = false;
+         ws.ping();
+      }
+      prune();
+   }, HEARTBEAT_INTERVAL_MS);
+   wss.on("close", () => clearInterval(heartbeat));
+
+   wss.on("connection", (ws, req) => {
+      const store = getApiKeyStore();
+      const apiKey = store.authenticate(
+         readApiKey(req) ??
+            new URL(req.url, "http://localhost").searchParams.get("api_key")
+      );
+      if (!apiKey) {
+         ws.close(CLOSE_UNAUTHORIZED, "Invalid or missing API key.");
+         return;
+      }
+      ws.isAlive = true;
+      ws.on("pong", () => {
+         ws.isAlive = true;
+      });
+
+      /** @type {GatewaySession | null} */
+      let current = null;
+
+      const send = (payload) => {
+         if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(payload));
+      };
+
+      const attach = (session) => {
+         current = session;
+         session.lastUsed = Date.now();
+         send({
+            type: "session",
+            sessionId: session.chat.session.sessionId,
+            model: session.chat.session.modelName,
+            modality: session.modality
+         });
+      };
+
+      const consumeQuota = () => {
+         // The socket may outlive a revoked key
+         if (apiKey.revokedAt) {
+            ws.close(CLOSE_UNAUTHORIZED, "API key revoked.");
+            throw new ApiError(401, "API key revoked.", "authentication_error");
+         }
+         const quota = store.consume(apiKey);
+         if (!quota.allowed) {
+            throw new ApiError(429, `${quota.reason} Retry in ${quota.retryAfter}s.`, "rate_limit_error");
+         }
+      };
+
+      /**
+       * @param {any} msg
+       */
+      const runMessage = async (msg) => {
+         if (!current) {
+            throw new ApiError(400, "Create or resume a session before sending messages.");
+         }
+         if (current.inFlight) {
+            throw new ApiError(409, "A generation is already in progress for this session.");
+         }
+         const session = current;
+         consumeQuota();
+         const retry = !!msg.retry;
+         let message = session.lastMessage;
+         if (retry) {
+            if (!message) {
+               throw new ApiError(400, "There is no message to retry.");
+            }
+         } else {
+            const model = resolveModel(
+               lmArena,
+               session.chat.session.modelName,
+               session.modality === "image" ? "image" : "text",
+               apiKey
+            );
+            const attachments = [];
+            for (const att of msg.attachments ?? []) {
+               attachments.push(
+                  await fetchImageAttachment(
+                     att.url ?? `data:${att.mime ?? ""};base64,${att.data}`
+                  )
+               );
+            }
+            if (attachments.length > 0 && !model.capabilities.inputCapabilities.image) {
+               throw new ApiError(400, "This model does not support image inputs.");
+            }
+            message = { role: "user", content: String(msg.content ?? ""), attachments };
+            session.lastMessage = message;
+            session.lastToolOptions = Array.isArray(msg.tools)
+               ? { tools: msg.tools, toolChoice: msg.toolChoice }
+               : {};
+         }
+
+         const inFlight = {
+            requestId: typeof msg.requestId === "string" ? msg.requestId : randomUUID(),
+            controller: new AbortController()
+         };
+         session.inFlight = inFlight;
+         session.lastUsed = Date.now();
+         const { requestId } = inFlight;
+         const { signal } = inFlight.controller;
+         let outputTokens = 0;
+         try {
+            for await (const chunk of session.chat.sendMessage(message, retry, { ...session.lastToolOptions, signal })) {
+               if (chunk.event === "a0" || chunk.event === "ag") outputTokens++;
+               send({
+                  type: "event",
+                  requestId,
+                  event: chunk.event,
+                  name: LM_EVENT_NAMES.get(chunk.event.substring(1)) ?? null,
+                  data: chunk.data
+               });
+               if (chunk.event === "ad") break;
+            }
+            send({ type: "done", requestId, cancelled: false });
+         } catch (err) {
+            // A cancelled turn throws the abort
+            if (!signal.aborted) throw err;
+            send({ type: "done", requestId, cancelled: true });
+         } finally {
+            session.inFlight = null;
+            session.lastUsed = Date.now();
+            store.recordUsage(apiKey, session.chat.session.modelName, {
+               inputTokens: estimateTokens(message.content),
+               outputTokens
+            });
+         }
+      };
+
+      const handle = async (msg) => {
+         switch (msg.type) {
+            case "ping":
+               send({ type: "pong" });
+               break;
+            case "create": {
+               const modality = msg.modality === "image" ? "image" : "chat";
+               resolveModel(lmArena, msg.model, modality === "image" ? "image" : "text", apiKey);
+               consumeQuota();
+               const chat = lmArena.startChat(msg.model, modality);
+               const session = {
+                  chat,
+                  apiKeyId: apiKey.id,
+                  modality,
+                  lastUsed: Date.now(),
+                  lastMessage: null,
+                  lastToolOptions: {},
+                  inFlight: null
+               };
+               sessions.set(chat.session.sessionId, session);
+               logger.info(`ws create key=${apiKey.id} model=${msg.model} session=${chat.session.sessionId}`);
+               attach(session);
+               break;
+            }
+            case "resume": {
+               const session = sessions.get(msg.sessionId);
+               if (!session || session.apiKeyId !== apiKey.id) {
+                  throw new ApiError(404, `Session '${msg.sessionId}' not found.`);
+               }
+               attach(session);
+               break;
+            }
+            case "message":
+               await runMessage(msg);
+               break;
+            case "cancel": {
+               const inFlight = current?.inFlight;
+               if (inFlight && (!msg.requestId || msg.requestId === inFlight.requestId)) {
+                  inFlight.controller.abort();
+               }
+               break;
+            }
+            default:
+               throw new ApiError(400, `Unknown message type '${msg.type}'.`);
+         }
+      };
+
+      ws.on("message", (raw) => {
+         let msg;
+         try {
+            msg = JSON.parse(raw.toString());
+         } catch (e) {
+            send({ type: "error", message: "Messages must be JSON." });
+            return;
+         }
+         // Handled concurrently so a cancel can arrive while a message is streaming
+         handle(msg).catch((err) => {
+            if (!(err instanceof ApiError)) logger.error(err.stack || String(err));
+            send({
+               type: "error",
+               requestId: msg.requestId ?? null,
+               message: err.message
+            });
+         });
+      });
+
+      ws.on("close", () => {
+         // Stop streaming into a dead socket, the session itself stays resumable
+         if (current?.inFlight) current.inFlight.controller.abort();
+      });
+   });
+
+   return wss;
+}
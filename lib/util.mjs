@@ -195,4 +195,28 @@ function escapeRegex(str) {
 
 export function generateSupportId() {
    return "ls" + randomBytes(3).toString("hex");
-}
\ No newline at end of file
+}
+
+/**
+ * Anonymous (unreleased) models are listed without an organization or provider
+ * @param {any} model Model object from `LMArena.models`
+ * @returns {boolean}
+ */
+export function isAnonymousModel(model) {
+   return !model.organization || !model.provider;
+}
+
+const TRANSCRIPT_ROLE_LABELS = {
+   system: "System",
+   user: "User",
+   assistant: "Assistant"
+};
+
+/**
+ * Fold a conversation into one message's text, for when the arena only takes the latest message
+ * @param {Array<{ role: "system" | "user" | "assistant", content: string }>} turns
+ * @returns {string}
+ */
+export function formatTranscript(turns) {
+   return turns.map((turn) => `[${TRANSCRIPT_ROLE_LABELS[turn.role]}]\n${turn.content}`).join("\n\n");
+}
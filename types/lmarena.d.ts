@@ -2,8 +2,8 @@
 export interface LMArenaSession {
    id: string;
    messages: Array<LMArenaMessage>;
-   modality: "text" | "image";
-   mode: "direct";
+   modality: "chat" | "text" | "image" | "video";
+   mode: "direct" | "side-by-side" | "battle";
    modelAId: string;
 
    // The message ID that the completion is saved to
@@ -11,6 +11,10 @@ export interface LMArenaSession {
 
    // The message ID that's used as the prompt for the completion
    userMessageId: string;
+
+   // Battles only, the second participant
+   modelBId?: string;
+   modelBMessageId?: string;
 }
 
 export interface Attachment {
@@ -42,5 +46,20 @@ export interface ChatSession {
    // This is used as a flag to determine whether we need to call the create-evaluation API, or the post API to an existing session
    doesSessionExist: true;
    sessionId: string | null;
+   // Stays the same when a branch moves the conversation to a new evaluation (and sessionId)
+   conversationId: string;
+   // Latest message of the active branch, null means the last message added
+   headMessageId: string | null;
+   // Public name of the model, as keyed in LMArena.models
+   modelName: string;
    messages: Array<ChatMessage>;
+   // Set on battle sessions, modelName is model A
+   battle?: BattleState;
+}
+
+export interface BattleState {
+   modelBName: string;
+   // Whether the models are hidden until a vote is cast
+   anonymous: boolean;
+   votes: Array<{ userMessageId: string; vote: "a" | "b" | "tie" | "both_bad"; votedAt: number }>;
 }